@@ -3,8 +3,7 @@
  */
 
 const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const { loadConfig } = require('./config');
 
 class AIAgent {
   constructor(apiKey, model = 'claude-3-sonnet-20240229', maxTokens = 4096) {
@@ -208,48 +207,19 @@ Rate each finding: Critical, High, Medium, or Low.`;
   }
 }
 
-// Load API key from environment
+// Load API key from the layered configuration (environment, .ren360rc, .env)
 function loadApiKey() {
-  // Try .env file first
-  const envPath = path.join(__dirname, '..', '.env');
-  if (fs.existsSync(envPath)) {
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const match = envContent.match(/ANTHROPIC_API_KEY=(.+)/);
-    if (match) {
-      return match[1].trim();
-    }
-  }
-  
-  // Fall back to environment variable
-  return process.env.ANTHROPIC_API_KEY;
+  return loadConfig().get('anthropicApiKey');
 }
 
-// Get model from environment
+// Get model from configuration
 function getModel() {
-  const envPath = path.join(__dirname, '..', '.env');
-  if (fs.existsSync(envPath)) {
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const match = envContent.match(/ANTHROPIC_MODEL=(.+)/);
-    if (match) {
-      return match[1].trim();
-    }
-  }
-  
-  return process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229';
+  return loadConfig().get('anthropicModel');
 }
 
-// Get max tokens from environment
+// Get max tokens from configuration
 function getMaxTokens() {
-  const envPath = path.join(__dirname, '..', '.env');
-  if (fs.existsSync(envPath)) {
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const match = envContent.match(/ANTHROPIC_MAX_TOKENS=(.+)/);
-    if (match) {
-      return parseInt(match[1].trim());
-    }
-  }
-  
-  return parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4096;
+  return loadConfig().get('anthropicMaxTokens');
 }
 
 module.exports = {
@@ -0,0 +1,95 @@
+/**
+ * Append-only audit log of mutating commands
+ *
+ * Every entry is one JSON line: who ran what, where, the state of each
+ * service before and after, and the command's results. Entries are only ever
+ * appended; history reads them back with filters.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUDIT_FILE = '.ren360-audit.jsonl';
+
+function effectiveUser() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || 'unknown';
+  }
+}
+
+/**
+ * Start an entry for a command; finish it with appendAuditEntry()
+ */
+function createAuditEntry(command, args, details = {}) {
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    started: new Date().toISOString(),
+    finished: null,
+    user: effectiveUser(),
+    sudoUser: process.env.SUDO_USER || null,
+    host: os.hostname(),
+    command,
+    args,
+    ...details
+  };
+}
+
+/**
+ * Append a finished entry to the log file
+ */
+function appendAuditEntry(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read entries, oldest first, keeping those that match the filters:
+ * service, command, since and until (Dates)
+ */
+function readAuditEntries(file, filters = {}) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const { service, command, since, until } = filters;
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // A line cut short by a crash or a full disk; the rest still count
+        return null;
+      }
+    })
+    .filter(entry => entry &&
+      (!command || entry.command === command) &&
+      (!service || Object.keys(entry.services || {}).includes(service)) &&
+      (!since || new Date(entry.started) >= since) &&
+      (!until || new Date(entry.started) <= until));
+}
+
+/**
+ * The entry with this id (or id prefix), or null
+ */
+function findAuditEntry(file, id) {
+  const matches = readAuditEntries(file).filter(entry => entry.id.startsWith(id));
+  if (matches.length > 1) {
+    throw new Error(`'${id}' matches ${matches.length} entries; use more characters`);
+  }
+  return matches[0] || null;
+}
+
+module.exports = {
+  AUDIT_FILE,
+  createAuditEntry,
+  appendAuditEntry,
+  readAuditEntries,
+  findAuditEntry
+};
@@ -0,0 +1,146 @@
+/**
+ * Per-service branch manifests for the update command
+ *
+ * Supported formats (chosen by file extension):
+ *   .conf / other  service=branch lines, # comments (same as branches.conf)
+ *   .json          { "default": "master", "services": { "users": "master" } }
+ *   .yml / .yaml   default: master / services: with indented service: branch
+ *
+ * JSON and YAML manifests may also be a flat service -> branch map.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { branchNameProblem } = require('./git-refs');
+
+function stripQuotes(value) {
+  const trimmed = value.trim();
+  if ((trimmed.startsWith('"') && trimmed.endsWith('"')) || (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+/**
+ * Parse service=branch lines
+ */
+function parseConf(content) {
+  const branches = {};
+
+  content.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const separator = trimmed.indexOf('=');
+    if (separator === -1) {
+      return;
+    }
+
+    const service = trimmed.slice(0, separator).trim();
+    const branch = stripQuotes(trimmed.slice(separator + 1));
+    if (service && branch) {
+      branches[service] = branch;
+    }
+  });
+
+  return { branches };
+}
+
+/**
+ * Parse the small YAML subset manifests need: top-level "key: value" pairs
+ * and a "services:" block of indented "service: branch" pairs.
+ */
+function parseYaml(content) {
+  const result = {};
+  let section = null;
+
+  content.split('\n').forEach(line => {
+    const withoutComment = line.replace(/\s+#.*$/, '');
+    if (!withoutComment.trim() || withoutComment.trim().startsWith('#')) {
+      return;
+    }
+
+    const match = withoutComment.match(/^(\s*)([^:\s][^:]*):\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Unsupported YAML line: ${line.trim()}`);
+    }
+
+    const [, indent, key, value] = match;
+    if (indent.length === 0) {
+      if (value) {
+        result[key.trim()] = stripQuotes(value);
+        section = null;
+      } else {
+        section = key.trim();
+        result[section] = {};
+      }
+    } else if (section) {
+      result[section][key.trim()] = stripQuotes(value);
+    } else {
+      throw new Error(`Unexpected indentation: ${line.trim()}`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Turn a parsed JSON/YAML document into { defaultBranch, branches }
+ */
+function fromDocument(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error('Manifest must be an object');
+  }
+
+  if (document.services && typeof document.services === 'object') {
+    return { defaultBranch: document.default || null, branches: { ...document.services } };
+  }
+
+  const { default: defaultBranch, ...branches } = document;
+  return { defaultBranch: defaultBranch || null, branches };
+}
+
+/**
+ * Load a branch manifest from disk
+ *
+ * Returns { file, defaultBranch, branches } where branches maps service -> branch.
+ */
+function loadBranchManifest(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Manifest not found: ${resolved}`);
+  }
+
+  const content = fs.readFileSync(resolved, 'utf8');
+  const extension = path.extname(resolved).toLowerCase();
+
+  let manifest;
+  try {
+    if (extension === '.json') {
+      manifest = fromDocument(JSON.parse(content));
+    } else if (extension === '.yml' || extension === '.yaml') {
+      manifest = fromDocument(parseYaml(content));
+    } else {
+      manifest = { defaultBranch: null, ...parseConf(content) };
+    }
+  } catch (error) {
+    throw new Error(`Error reading ${resolved}: ${error.message}`);
+  }
+
+  for (const [service, branch] of Object.entries(manifest.branches)) {
+    const problem = branchNameProblem(branch);
+    if (problem) {
+      throw new Error(`Invalid branch for '${service}' in ${resolved}: ${problem}`);
+    }
+  }
+
+  return { file: resolved, ...manifest };
+}
+
+module.exports = {
+  loadBranchManifest,
+  parseConf,
+  parseYaml
+};
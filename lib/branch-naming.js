@@ -0,0 +1,105 @@
+/**
+ * Ticket branch names built from a template, and the ticket a branch belongs to
+ *
+ * A template combines {ticket} (the ticket number), {type} (feature, hotfix or
+ * chore) and {slug} (a short description), e.g. "{type}/REN-{ticket}-{slug}"
+ * gives feature/REN-1234-remember-me-login. The ticket is found again in names
+ * built from the template, and in plain REN-1234 names from before templates.
+ */
+
+const BRANCH_TYPES = ['feature', 'hotfix', 'chore'];
+const DEFAULT_BRANCH_TEMPLATE = 'REN-{ticket}';
+const PLACEHOLDERS = ['ticket', 'type', 'slug'];
+
+/**
+ * "Remember me: login" -> "remember-me-login"
+ */
+function slugify(text, maxLength = 40) {
+  const slug = String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= maxLength) {
+    return slug;
+  }
+  // Cut at a word boundary where there is one
+  const cut = slug.slice(0, maxLength);
+  return cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : cut;
+}
+
+/**
+ * Why a template cannot be used, or null
+ */
+function branchTemplateProblem(template) {
+  if (typeof template !== 'string' || !template.includes('{ticket}')) {
+    return 'must contain {ticket}';
+  }
+  const unknown = (template.match(/\{[^}]*\}/g) || [])
+    .map(placeholder => placeholder.slice(1, -1))
+    .find(name => !PLACEHOLDERS.includes(name));
+  return unknown !== undefined ? `unknown placeholder {${unknown}} (use ${PLACEHOLDERS.map(name => `{${name}}`).join(', ')})` : null;
+}
+
+/**
+ * The branch name for a ticket; an empty slug drops the separator before it
+ */
+function renderBranchName(template, { ticket, type = 'feature', slug = '' }) {
+  const problem = branchTemplateProblem(template);
+  if (problem) {
+    throw new Error(`Invalid branch template '${template}': ${problem}`);
+  }
+  if (!BRANCH_TYPES.includes(type)) {
+    throw new Error(`Unknown branch type '${type}' (expected ${BRANCH_TYPES.join(', ')})`);
+  }
+
+  const cleanSlug = slug ? slugify(slug) : '';
+  return (cleanSlug ? template : template.replace(/[-_/]?\{slug\}/g, ''))
+    .replace(/\{ticket\}/g, ticket)
+    .replace(/\{type\}/g, type)
+    .replace(/\{slug\}/g, cleanSlug);
+}
+
+// Regex matching names built from template, capturing the ticket number
+function templatePattern(template) {
+  const source = template
+    .split(/(\{(?:ticket|type|slug)\})/)
+    .map(part => {
+      switch (part) {
+        case '{ticket}': return '(\\d+)';
+        case '{type}': return `(?:${BRANCH_TYPES.join('|')})`;
+        case '{slug}': return '[a-z0-9-]*';
+        default: return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+    })
+    .join('')
+    // The slug and its separator are optional, as in renderBranchName
+    .replace(/([-_/])?\[a-z0-9-\]\*/g, '(?:$1[a-z0-9-]*)?');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * The ticket a branch belongs to ("REN-1234"), or null
+ *
+ * Names built from template are matched first, then any name with REN-<number>
+ * in it (REN-1234, REN-1234-login, feature/REN-1234).
+ */
+function ticketFromBranch(branch, template = DEFAULT_BRANCH_TEMPLATE) {
+  const fromTemplate = branchTemplateProblem(template) ? null : templatePattern(template).exec(branch);
+  if (fromTemplate) {
+    return `REN-${fromTemplate[1]}`;
+  }
+  const match = /(?:^|[^a-z0-9])REN-(\d+)(?!\d)/i.exec(branch);
+  return match ? `REN-${match[1]}` : null;
+}
+
+module.exports = {
+  BRANCH_TYPES,
+  DEFAULT_BRANCH_TEMPLATE,
+  slugify,
+  branchTemplateProblem,
+  renderBranchName,
+  ticketFromBranch
+};
@@ -0,0 +1,616 @@
+/**
+ * Layered configuration for the repository manager
+ *
+ * Every setting is resolved from these layers, highest precedence first:
+ *   1. flag    - command line flags (--repo-root, -r, --env, --jobs, ...)
+ *   2. env     - environment variables (REN360_REPO_ROOT, GH_TOKEN, ...)
+ *   3. profile - the active named profile from a .ren360rc "profiles" section
+ *   4. local   - ./.ren360rc
+ *   5. home    - ~/.ren360rc
+ *   6. dotenv  - .env next to repo-manager.js
+ *   7. default - built-in defaults
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { DEFAULT_JOBS } = require('./executor');
+
+const TOOL_DIR = path.join(__dirname, '..');
+const DEFAULT_REPO_ROOT = '/var/amarki/repository';
+const ENVIRONMENTS = ['development', 'production'];
+
+const LAYERS = ['flag', 'env', 'profile', 'local', 'home', 'dotenv', 'default'];
+const WRITABLE_LAYERS = ['local', 'home', 'dotenv'];
+
+/**
+ * Setting definitions
+ *
+ * key      - name in .ren360rc and for config get/set
+ * flags    - command line flags (--name=value, or "-x value" for short flags)
+ * env      - environment variable
+ * dotenv   - variable name in .env
+ * type     - string, path, number, enum or list (comma-separated)
+ * min      - smallest allowed value of a number
+ * secret   - masked by config show
+ */
+const SETTINGS = {
+  repoRoot: {
+    description: 'Directory containing the service checkouts',
+    flags: ['--repo-root', '-r'],
+    env: 'REN360_REPO_ROOT',
+    dotenv: 'REPO_ROOT',
+    type: 'path',
+    default: () => DEFAULT_REPO_ROOT
+  },
+  environment: {
+    description: 'development (run directly) or production (sudo -u www-data)',
+    flags: ['--env'],
+    env: 'REN360_ENVIRONMENT',
+    dotenv: 'ENVIRONMENT',
+    type: 'enum',
+    values: ENVIRONMENTS,
+    default: detectEnvironment
+  },
+  jobs: {
+    description: 'How many services multi-service commands work on at once',
+    flags: ['--jobs', '-j'],
+    env: 'REN360_JOBS',
+    type: 'number',
+    min: 1,
+    default: () => DEFAULT_JOBS
+  },
+  networkTimeout: {
+    description: 'Seconds before a fetch, pull, push, clone or gh call is abandoned',
+    flags: ['--timeout'],
+    env: 'REN360_NETWORK_TIMEOUT',
+    type: 'number',
+    min: 1,
+    default: () => 120
+  },
+  commandTimeout: {
+    description: 'Seconds before any other command (local git, composer, npm, exec, hooks) is abandoned (0 = no limit)',
+    env: 'REN360_COMMAND_TIMEOUT',
+    type: 'number',
+    min: 0,
+    // A composer install stopped halfway leaves vendor/ broken, so this is opt-in
+    default: () => 0
+  },
+  retries: {
+    description: 'Extra attempts for network calls that time out or lose the connection',
+    flags: ['--retries'],
+    env: 'REN360_RETRIES',
+    type: 'number',
+    min: 0,
+    default: () => 2
+  },
+  retryDelay: {
+    description: 'Seconds to wait before the first retry (doubled for each further retry)',
+    env: 'REN360_RETRY_DELAY',
+    type: 'number',
+    min: 0,
+    default: () => 2
+  },
+  baseBranch: {
+    description: 'Branch create-branch starts new branches from (a service\'s "baseBranch" overrides it)',
+    env: 'REN360_BASE_BRANCH',
+    default: () => 'dev'
+  },
+  branchTemplate: {
+    description: 'Name of new ticket branches, from {ticket}, {type} (feature, hotfix, chore) and {slug}',
+    env: 'REN360_BRANCH_TEMPLATE',
+    default: () => 'REN-{ticket}'
+  },
+  protectedBranches: {
+    description: 'Branch patterns prune-branches never deletes (comma-separated, * matches anything)',
+    env: 'REN360_PROTECTED_BRANCHES',
+    type: 'list',
+    default: () => ['dev', 'master', 'main', 'release/*']
+  },
+  auditLog: {
+    description: 'Audit log of mutating commands (default: .ren360-audit.jsonl in the repository root)',
+    env: 'REN360_AUDIT_LOG',
+    type: 'path'
+  },
+  remoteBase: {
+    description: 'Clone URL prefix for services without a "remote" (e.g. git@github.com:org)',
+    env: 'REN360_REMOTE_BASE',
+    dotenv: 'REMOTE_BASE'
+  },
+  profile: {
+    description: 'Active profile from the "profiles" section of .ren360rc',
+    flags: ['--profile'],
+    env: 'REN360_PROFILE'
+  },
+  ghToken: {
+    description: 'GitHub token for PR commands',
+    env: 'GH_TOKEN',
+    dotenv: 'GH_TOKEN',
+    secret: true
+  },
+  anthropicApiKey: {
+    description: 'Anthropic API key for review --analyze',
+    env: 'ANTHROPIC_API_KEY',
+    dotenv: 'ANTHROPIC_API_KEY',
+    secret: true
+  },
+  anthropicModel: {
+    description: 'Model used for AI analysis',
+    env: 'ANTHROPIC_MODEL',
+    dotenv: 'ANTHROPIC_MODEL',
+    default: () => 'claude-3-sonnet-20240229'
+  },
+  anthropicMaxTokens: {
+    description: 'Max tokens for AI responses',
+    env: 'ANTHROPIC_MAX_TOKENS',
+    dotenv: 'ANTHROPIC_MAX_TOKENS',
+    type: 'number',
+    default: () => 4096
+  }
+};
+
+// Settings a profile may set, plus its service subset
+const PROFILE_SETTINGS = ['repoRoot', 'environment', 'baseBranch', 'jobs'];
+const PROFILE_SELECTORS = ['services', 'groups', 'exclude'];
+
+/**
+ * Production servers have the shared repository checkout
+ */
+function detectEnvironment() {
+  if (process.platform === 'linux' && fs.existsSync(DEFAULT_REPO_ROOT)) {
+    return 'production';
+  }
+  return 'development';
+}
+
+function unescapeDoubleQuoted(value) {
+  return value.replace(/\\([nrt"\\])/g, (match, char) => {
+    return { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' }[char];
+  });
+}
+
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse .env content
+ *
+ * Supports comments, blank lines, an optional "export " prefix, single quotes
+ * (literal), double quotes (with \n, \t, \" escapes, may span lines) and
+ * trailing " # comments" after unquoted values.
+ */
+function parseDotenv(content) {
+  const values = {};
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const [, key] = match;
+    let value = match[2];
+
+    if (value.startsWith('"') || value.startsWith("'")) {
+      const quote = value[0];
+      let body = value.slice(1);
+      let end = findClosingQuote(body, quote);
+
+      // Double-quoted values may continue on the following lines
+      while (end === -1 && quote === '"' && i + 1 < lines.length) {
+        body += '\n' + lines[++i];
+        end = findClosingQuote(body, quote);
+      }
+
+      value = end === -1 ? body : body.slice(0, end);
+      values[key] = quote === '"' ? unescapeDoubleQuoted(value) : value;
+    } else {
+      values[key] = value.replace(/\s+#.*$/, '').trim();
+    }
+  }
+
+  return values;
+}
+
+function readDotenv(file) {
+  return fs.existsSync(file) ? parseDotenv(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function readRc(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read setting values from command line arguments (without modifying them)
+ *
+ * Arguments after "--" belong to a command being passed through (exec) and are ignored.
+ */
+function parseFlags(argv) {
+  const values = {};
+  const separator = argv.indexOf('--');
+  const options = separator === -1 ? argv : argv.slice(0, separator);
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    for (const flag of setting.flags || []) {
+      const index = options.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+      if (index === -1) {
+        continue;
+      }
+
+      if (options[index].includes('=')) {
+        values[key] = options[index].split('=').slice(1).join('=');
+      } else if (options[index + 1] !== undefined) {
+        values[key] = options[index + 1];
+      }
+      break;
+    }
+  }
+
+  return values;
+}
+
+function coerce(key, value) {
+  const setting = SETTINGS[key];
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  switch (setting.type) {
+    case 'path':
+      return String(value).startsWith('~') ? path.join(os.homedir(), String(value).slice(1)) : String(value);
+    case 'number': {
+      const number = parseInt(value, 10);
+      return isNaN(number) ? undefined : number;
+    }
+    case 'enum':
+      return String(value).toLowerCase();
+    case 'list':
+      return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Resolved configuration with per-setting provenance
+ */
+class Config {
+  constructor(layers, files, profiles = {}, profile = null) {
+    this.layers = layers;
+    this.files = files;
+    // name -> { definition, file } for every profile in the .ren360rc files
+    this.profiles = profiles;
+    // Name of the active profile, or null
+    this.profile = profile;
+  }
+
+  /**
+   * The active profile definition, or null
+   */
+  getProfile() {
+    return this.profile && this.profiles[this.profile] ? this.profiles[this.profile].definition : null;
+  }
+
+  /**
+   * The layer and raw value a setting resolves from
+   */
+  resolve(key) {
+    if (!SETTINGS[key]) {
+      throw new Error(`Unknown setting '${key}' (known: ${Object.keys(SETTINGS).join(', ')})`);
+    }
+
+    for (const layer of LAYERS) {
+      const value = coerce(key, this.layers[layer][key]);
+      if (value !== undefined) {
+        return { key, value, layer, file: this.files[layer] || null };
+      }
+    }
+
+    return { key, value: undefined, layer: null, file: null };
+  }
+
+  get(key) {
+    return this.resolve(key).value;
+  }
+
+  source(key) {
+    return this.resolve(key).layer;
+  }
+
+  /**
+   * Every setting with its effective value and where it came from
+   */
+  describe() {
+    return Object.keys(SETTINGS).map(key => ({
+      ...this.resolve(key),
+      description: SETTINGS[key].description,
+      secret: Boolean(SETTINGS[key].secret)
+    }));
+  }
+
+  /**
+   * Validate effective values, returning a list of problems
+   */
+  validate() {
+    const problems = [];
+
+    for (const key of Object.keys(SETTINGS)) {
+      const setting = SETTINGS[key];
+      const { value, layer } = this.resolve(key);
+      if (setting.type === 'enum' && value !== undefined && !setting.values.includes(value)) {
+        problems.push(`${key} '${value}' from ${layer} is not one of ${setting.values.join(', ')}`);
+      }
+      if (setting.min !== undefined && value !== undefined && value < setting.min) {
+        problems.push(`${key} ${value} from ${layer} must be at least ${setting.min}`);
+      }
+    }
+
+    if (this.profile && !this.profiles[this.profile]) {
+      const known = Object.keys(this.profiles);
+      problems.push(`Unknown profile '${this.profile}' (${known.length > 0 ? `known: ${known.join(', ')}` : 'no profiles defined'})`);
+    }
+
+    for (const [name, { definition, file }] of Object.entries(this.profiles)) {
+      validateProfile(name, definition).forEach(problem => problems.push(`${problem} in ${file}`));
+    }
+
+    return problems;
+  }
+}
+
+/**
+ * Validate a profile definition, returning a list of problems
+ */
+function validateProfile(name, definition) {
+  const problems = [];
+
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+    problems.push(`Invalid profile name '${name}' (use letters, digits, dots, dashes and underscores)`);
+  }
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    problems.push(`Profile '${name}' must be an object`);
+    return problems;
+  }
+
+  for (const [key, value] of Object.entries(definition)) {
+    if (PROFILE_SELECTORS.includes(key)) {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        problems.push(`Profile '${name}': "${key}" must be a list of names`);
+      }
+    } else if (!PROFILE_SETTINGS.includes(key) && key !== 'description') {
+      problems.push(`Profile '${name}': unknown key "${key}"`);
+    }
+  }
+
+  if (definition.environment && !ENVIRONMENTS.includes(String(definition.environment).toLowerCase())) {
+    problems.push(`Profile '${name}': environment must be one of ${ENVIRONMENTS.join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Load every configuration layer
+ */
+function loadConfig(options = {}) {
+  const {
+    argv = process.argv.slice(2),
+    env = process.env,
+    cwd = process.cwd(),
+    home = os.homedir(),
+    dotenvFile = path.join(TOOL_DIR, '.env')
+  } = options;
+
+  const files = {
+    local: path.join(cwd, '.ren360rc'),
+    home: path.join(home, '.ren360rc'),
+    dotenv: dotenvFile
+  };
+
+  const dotenvValues = readDotenv(files.dotenv);
+  const layers = { flag: parseFlags(argv), env: {}, profile: {}, local: {}, home: {}, dotenv: {}, default: {} };
+
+  const localRc = readRc(files.local);
+  // When run from the home directory both paths are the same file
+  const homeRc = files.home === files.local ? {} : readRc(files.home);
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (setting.env && env[setting.env] !== undefined) {
+      layers.env[key] = env[setting.env];
+    }
+    if (localRc[key] !== undefined) {
+      layers.local[key] = localRc[key];
+    }
+    if (homeRc[key] !== undefined) {
+      layers.home[key] = homeRc[key];
+    }
+    if (setting.dotenv && dotenvValues[setting.dotenv] !== undefined) {
+      layers.dotenv[key] = dotenvValues[setting.dotenv];
+    }
+    if (setting.default) {
+      layers.default[key] = setting.default();
+    }
+  }
+
+  // Profiles from both files; a local profile replaces a home one of the same name
+  const profiles = {};
+  for (const [rc, file] of [[homeRc, files.home], [localRc, files.local]]) {
+    for (const [name, definition] of Object.entries(rc.profiles || {})) {
+      profiles[name] = { definition, file };
+    }
+  }
+
+  // The profile is chosen before its own layer exists, so resolve it directly
+  const config = new Config(layers, files, profiles);
+  config.profile = config.get('profile') || null;
+
+  const active = config.getProfile();
+  if (active) {
+    for (const key of PROFILE_SETTINGS) {
+      if (active[key] !== undefined) {
+        layers.profile[key] = active[key];
+      }
+    }
+    files.profile = profiles[config.profile].file;
+  }
+
+  return config;
+}
+
+function formatDotenvValue(value) {
+  const text = String(value);
+  return /^[A-Za-z0-9_./:@~+-]*$/.test(text)
+    ? text
+    : `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Set (or with value undefined, remove) a variable in a .env file, keeping
+ * every other line and comment intact
+ */
+function writeDotenvValue(file, name, value) {
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n') : [];
+  const pattern = new RegExp(`^\\s*(?:export\\s+)?${name.replace(/\./g, '\\.')}\\s*=`);
+  const replacement = value === undefined ? null : `${name}=${formatDotenvValue(value)}`;
+
+  let found = false;
+  const updated = [];
+  for (const line of lines) {
+    if (pattern.test(line)) {
+      if (!found && replacement !== null) {
+        updated.push(replacement);
+      }
+      found = true;
+    } else {
+      updated.push(line);
+    }
+  }
+
+  if (!found && replacement !== null) {
+    if (updated.length > 0 && updated[updated.length - 1] === '') {
+      updated.splice(updated.length - 1, 0, replacement);
+    } else {
+      updated.push(replacement, '');
+    }
+  }
+
+  fs.writeFileSync(file, updated.join('\n'));
+}
+
+/**
+ * Merge changes into a .ren360rc file; keys set to undefined are removed
+ */
+function writeRcValues(file, changes) {
+  const config = readRc(file);
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) {
+      delete config[key];
+    } else {
+      config[key] = value;
+    }
+  }
+
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n');
+}
+
+/**
+ * Add or replace (or with definition undefined, remove) a profile in a
+ * .ren360rc file
+ */
+function saveProfile(file, name, definition) {
+  const problems = definition === undefined ? [] : validateProfile(name, definition);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const profiles = { ...(readRc(file).profiles || {}) };
+  if (definition === undefined) {
+    delete profiles[name];
+  } else {
+    profiles[name] = definition;
+  }
+
+  writeRcValues(file, { profiles: Object.keys(profiles).length > 0 ? profiles : undefined });
+}
+
+/**
+ * Write a setting to one of the writable layers
+ */
+function setConfigValue(config, key, value, layer) {
+  const setting = SETTINGS[key];
+  if (!setting) {
+    throw new Error(`Unknown setting '${key}' (known: ${Object.keys(SETTINGS).join(', ')})`);
+  }
+  if (!WRITABLE_LAYERS.includes(layer)) {
+    throw new Error(`Cannot write to layer '${layer}' (use ${WRITABLE_LAYERS.join(', ')})`);
+  }
+  if (value !== undefined && setting.type === 'enum' && !setting.values.includes(String(value).toLowerCase())) {
+    throw new Error(`${key} must be one of ${setting.values.join(', ')}`);
+  }
+  if (value !== undefined && setting.type === 'number' && isNaN(parseInt(value, 10))) {
+    throw new Error(`${key} must be a number`);
+  }
+  if (value !== undefined && setting.min !== undefined && parseInt(value, 10) < setting.min) {
+    throw new Error(`${key} must be at least ${setting.min}`);
+  }
+
+  const file = config.files[layer];
+  if (layer === 'dotenv') {
+    if (!setting.dotenv) {
+      throw new Error(`${key} cannot be stored in .env`);
+    }
+    writeDotenvValue(file, setting.dotenv, value);
+  } else {
+    const stored = value === undefined ? value
+      : setting.type === 'number' ? parseInt(value, 10)
+      : setting.type === 'list' ? coerce(key, value)
+      : value;
+    writeRcValues(file, { [key]: stored });
+  }
+
+  return file;
+}
+
+module.exports = {
+  DEFAULT_REPO_ROOT,
+  ENVIRONMENTS,
+  LAYERS,
+  WRITABLE_LAYERS,
+  SETTINGS,
+  PROFILE_SETTINGS,
+  PROFILE_SELECTORS,
+  Config,
+  loadConfig,
+  validateProfile,
+  saveProfile,
+  parseDotenv,
+  writeDotenvValue,
+  writeRcValues,
+  setConfigValue
+};
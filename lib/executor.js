@@ -0,0 +1,258 @@
+/**
+ * Async execution layer for multi-service commands
+ *
+ * runCommand() runs a command with spawn and resolves with its trimmed stdout;
+ * runWithRetry() retries it with backoff when the failure looks
+ * transient (timeouts, network errors). runParallel() runs a worker for every item with a concurrency limit;
+ * while more than one job is allowed, everything a worker prints through
+ * writeOutput() is buffered and flushed in item order, so output and results
+ * stay deterministic whichever service finishes first.
+ */
+
+const { spawn } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_JOBS = 4;
+
+// Failure kinds recognised in stderr, checked in order (timeouts are flagged
+// by runCommand itself). Anything else is a plain 'error'.
+const FAILURE_PATTERNS = [
+  ['auth', /authentication failed|permission denied \(publickey|could not read (username|password)|terminal prompts disabled|bad credentials|gh auth login|HTTP 40[13]\b/i],
+  // Only git and gh wording; a bare "not found" is also "command not found"
+  ['not-found', /repository not found|does not appear to be a git repository|couldn't find remote ref|HTTP 404\b/i],
+  ['network', /could not resolve host|connection (refused|reset|timed out)|network is unreachable|unable to access|remote end hung up|early EOF|operation timed out/i]
+];
+
+// Kinds worth another attempt; auth and not-found failures will not fix themselves
+const RETRYABLE_FAILURES = ['timeout', 'network'];
+
+// Output buffer of the task currently running (unset outside runParallel)
+const outputBuffer = new AsyncLocalStorage();
+
+// Like console.log, keep going when stdout is a closed pipe (e.g. "| head")
+process.stdout.on('error', error => {
+  if (error.code !== 'EPIPE') {
+    throw error;
+  }
+});
+
+/**
+ * Print text, or add it to the current task's buffer
+ */
+function writeOutput(text) {
+  const buffer = outputBuffer.getStore();
+  if (buffer) {
+    buffer.push(text);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+/**
+ * Format an argument array for display, quoting arguments the shell would split
+ */
+function formatCommand(command) {
+  if (!Array.isArray(command)) {
+    return command;
+  }
+
+  return command
+    .map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`)
+    .join(' ');
+}
+
+/**
+ * Run a command, resolving with its trimmed stdout
+ *
+ * command is an argument array ([file, ...args]), run without a shell so no
+ * argument is ever interpreted, or a string run through the shell (only for
+ * commands the user wrote themselves). options.input is written to stdin.
+ *
+ * Rejects with "Command failed: <command>" followed by stderr (or the exit
+ * status) when the command exits non-zero or runs longer than timeout ms.
+ * The error carries exitCode (null when killed), stdout and stderr.
+ */
+function runCommand(command, options = {}) {
+  const { cwd, env, input, timeout = 0 } = options;
+  const display = formatCommand(command);
+
+  return new Promise((resolve, reject) => {
+    const spawnOptions = {
+      cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+      stdio: [input !== undefined ? 'pipe' : 'ignore', 'pipe', 'pipe']
+    };
+    const child = Array.isArray(command)
+      ? spawn(command[0], command.slice(1), spawnOptions)
+      : spawn(command, { ...spawnOptions, shell: true });
+
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    const timer = timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, timeout) : null;
+
+    child.on('error', error => {
+      if (timer) clearTimeout(timer);
+      reject(new Error(`Command failed: ${display}\n${error.message}`));
+    });
+
+    child.on('close', (code, signal) => {
+      if (timer) clearTimeout(timer);
+
+      if (code === 0) {
+        resolve(stdout.trim());
+        return;
+      }
+
+      const reason = timedOut
+        ? `timed out after ${timeout / 1000}s`
+        : stderr.trim() || stdout.trim() || (signal ? `killed by ${signal}` : `exit code ${code}`);
+      const error = new Error(`Command failed: ${display}\n${reason}`);
+      error.timedOut = timedOut;
+      error.exitCode = code;
+      error.stdout = stdout.trim();
+      error.stderr = stderr.trim();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Classify a failed command as 'timeout', 'auth', 'not-found', 'network' or 'error'
+ */
+function classifyError(error) {
+  if (error.timedOut) {
+    return 'timeout';
+  }
+
+  const match = FAILURE_PATTERNS.find(([, pattern]) => pattern.test(error.message));
+  return match ? match[0] : 'error';
+}
+
+/**
+ * Short, one-line reason for a failure: git's "fatal:"/"error:" line if there
+ * is one, otherwise the last line of its output
+ */
+function summarizeError(error) {
+  const lines = error.message.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('Command failed:'));
+  return lines.find(line => /^(fatal|error):/i.test(line)) || lines[lines.length - 1] || error.message;
+}
+
+/**
+ * runCommand() with up to `retries` further attempts on timeouts and network
+ * errors, waiting retryDelay ms before the first retry and doubling it after
+ *
+ * onRetry(error, attempt, delay) is called before each retry. The final error
+ * carries its classification in error.kind and the attempts made in error.attempts.
+ */
+async function runWithRetry(command, options = {}) {
+  const { retries = 0, retryDelay = 1000, onRetry, ...runOptions } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runCommand(command, runOptions);
+    } catch (error) {
+      error.kind = classifyError(error);
+      error.attempts = attempt;
+
+      if (attempt > retries || !RETRYABLE_FAILURES.includes(error.kind)) {
+        throw error;
+      }
+
+      const delay = retryDelay * 2 ** (attempt - 1);
+      if (onRetry) {
+        onRetry(error, attempt, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run worker(item, index) for every item, at most jobs at a time
+ *
+ * Resolves with the workers' results in item order. With a single job the
+ * workers run one after another and print directly. If a worker throws, no
+ * new items are started and the first error is rethrown once the running
+ * workers have finished.
+ */
+async function runParallel(items, worker, options = {}) {
+  const jobs = Math.max(1, Math.floor(options.jobs || 1));
+  const results = new Array(items.length);
+
+  if (jobs === 1 || items.length <= 1) {
+    for (let index = 0; index < items.length; index++) {
+      results[index] = await worker(items[index], index);
+    }
+    return results;
+  }
+
+  const buffers = new Array(items.length);
+  const finished = new Array(items.length).fill(false);
+  let flushed = 0;
+  let next = 0;
+  let firstError = null;
+
+  // Print every finished buffer that no earlier item is still holding back
+  const flush = () => {
+    while (flushed < items.length && finished[flushed]) {
+      process.stdout.write(buffers[flushed].join(''));
+      buffers[flushed] = null;
+      flushed++;
+    }
+  };
+
+  const lane = async () => {
+    while (next < items.length && !firstError) {
+      const index = next++;
+      buffers[index] = [];
+
+      try {
+        results[index] = await outputBuffer.run(buffers[index], () => worker(items[index], index));
+      } catch (error) {
+        firstError = firstError || error;
+      }
+
+      finished[index] = true;
+      flush();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(jobs, items.length) }, lane));
+
+  // Items after a failure never started; print what the others produced
+  for (let index = flushed; index < items.length; index++) {
+    if (buffers[index]) {
+      process.stdout.write(buffers[index].join(''));
+    }
+  }
+
+  if (firstError) {
+    throw firstError;
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_JOBS,
+  writeOutput,
+  formatCommand,
+  runCommand,
+  runWithRetry,
+  classifyError,
+  summarizeError,
+  runParallel
+};
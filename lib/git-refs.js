@@ -0,0 +1,47 @@
+/**
+ * Branch name validation following git's ref naming rules (git check-ref-format)
+ *
+ * Names are checked before they reach git so a bad manifest entry or ticket
+ * number fails with a clear message instead of a confusing git error.
+ */
+
+// [pattern, reason] pairs; the first match explains why a name is rejected
+const BRANCH_RULES = [
+  [/^-/, 'cannot start with "-"'],
+  [/[\x00-\x20\x7f~^:?*[\\]/, 'cannot contain spaces, control characters or any of ~ ^ : ? * [ \\'],
+  [/\.\./, 'cannot contain ".."'],
+  [/@\{/, 'cannot contain "@{"'],
+  [/^@$/, 'cannot be "@"'],
+  [/^\/|\/$|\/\//, 'cannot start or end with "/" or contain "//"'],
+  [/\.$/, 'cannot end with "."'],
+  [/(^|\/)\./, 'no part can start with "."'],
+  [/\.lock(\/|$)/, 'no part can end with ".lock"']
+];
+
+/**
+ * Why name is not a valid branch name, or null if it is
+ */
+function branchNameProblem(name) {
+  if (typeof name !== 'string' || name === '') {
+    return 'cannot be empty';
+  }
+
+  const rule = BRANCH_RULES.find(([pattern]) => pattern.test(name));
+  return rule ? rule[1] : null;
+}
+
+/**
+ * Throw unless name is a valid branch name
+ */
+function validateBranchName(name) {
+  const problem = branchNameProblem(name);
+  if (problem) {
+    throw new Error(`Invalid branch name '${name}': ${problem}`);
+  }
+  return name;
+}
+
+module.exports = {
+  branchNameProblem,
+  validateBranchName
+};
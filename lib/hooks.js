@@ -0,0 +1,67 @@
+/**
+ * Per-service lifecycle hooks
+ *
+ * Hooks are shell commands run in a service's directory around update, sync,
+ * create-branch and pr. A service defines them under "hooks" in its registry
+ * entry; a top-level "hooks" section keyed by group or tag name applies them
+ * to every member. Each event takes one command or a list of commands.
+ */
+
+const HOOK_EVENTS = ['pre-update', 'post-update', 'post-sync', 'post-create-branch', 'pre-pr'];
+
+/**
+ * The commands configured for one event, as a list
+ */
+function hookCommands(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Problems with a { event: commands } hooks definition
+ */
+function validateHooks(hooks) {
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+    return ['"hooks" must be an object of event -> command(s)'];
+  }
+
+  const problems = [];
+
+  for (const [event, value] of Object.entries(hooks)) {
+    if (!HOOK_EVENTS.includes(event)) {
+      problems.push(`Unknown hook '${event}' (expected ${HOOK_EVENTS.join(', ')})`);
+    } else if (!hookCommands(value).every(command => typeof command === 'string' && command.trim())) {
+      problems.push(`Hook '${event}' must be a command or a list of commands`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Hooks to run for a service and event: [{ command, source }]
+ *
+ * Group hooks run first, in the order the groups are defined, followed by the
+ * service's own hooks. memberOf(group) tells whether the service is in a group.
+ */
+function resolveHooks(service, event, groupHooks, memberOf) {
+  const hooks = [];
+
+  for (const [group, definition] of Object.entries(groupHooks || {})) {
+    if (definition && memberOf(group)) {
+      hookCommands(definition[event]).forEach(command => hooks.push({ command, source: `group ${group}` }));
+    }
+  }
+
+  hookCommands((service.hooks || {})[event]).forEach(command => hooks.push({ command, source: 'service' }));
+
+  return hooks;
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  validateHooks,
+  resolveHooks
+};
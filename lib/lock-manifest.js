@@ -0,0 +1,68 @@
+/**
+ * Pinned lock manifests: the exact remote, branch and commit of every service
+ *
+ * Unlike branch manifests (lib/branch-manifest.js), a lock manifest pins
+ * commit SHAs so a workspace can be reproduced exactly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { branchNameProblem } = require('./git-refs');
+
+const LOCK_VERSION = '1.0';
+const DEFAULT_LOCK_FILE = 'ren360-manifest.lock.json';
+
+/**
+ * Write a lock manifest for { service: { remote, branch, sha } } entries
+ */
+function writeLockManifest(file, entries, metadata = {}) {
+  const manifest = {
+    version: LOCK_VERSION,
+    created: new Date().toISOString(),
+    ...metadata,
+    services: entries
+  };
+
+  const resolved = path.resolve(file);
+  fs.writeFileSync(resolved, JSON.stringify(manifest, null, 2) + '\n');
+  return resolved;
+}
+
+/**
+ * Load and validate a lock manifest
+ */
+function loadLockManifest(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Lock manifest not found: ${resolved}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading ${resolved}: ${error.message}`);
+  }
+
+  if (!manifest.services || typeof manifest.services !== 'object') {
+    throw new Error(`${resolved} has no "services" section`);
+  }
+
+  for (const [service, entry] of Object.entries(manifest.services)) {
+    if (!entry || !/^[0-9a-f]{40}([0-9a-f]{24})?$/.test(entry.sha || '')) {
+      throw new Error(`Invalid or missing commit SHA for '${service}' in ${resolved}`);
+    }
+    // "HEAD" marks a service that was exported on a detached HEAD
+    if (entry.branch !== 'HEAD' && branchNameProblem(entry.branch)) {
+      throw new Error(`Invalid branch for '${service}' in ${resolved}: ${branchNameProblem(entry.branch)}`);
+    }
+  }
+
+  return { file: resolved, ...manifest };
+}
+
+module.exports = {
+  DEFAULT_LOCK_FILE,
+  writeLockManifest,
+  loadLockManifest
+};
@@ -0,0 +1,165 @@
+/**
+ * Workspace lock so only one mutating repo-manager run touches a repository root
+ *
+ * The lock is a JSON file (.ren360.lock) in the repository root recording who
+ * holds it, the command, the PID, the host and when it started. A lock whose
+ * process is gone (same host, PID no longer running) is stale and is taken over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const LOCK_FILE = '.ren360.lock';
+
+function lockPath(repoRoot) {
+  return path.join(repoRoot, LOCK_FILE);
+}
+
+/**
+ * The user behind this run; under sudo that is the user who ran sudo
+ */
+function currentUser() {
+  if (process.env.SUDO_USER) {
+    return process.env.SUDO_USER;
+  }
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || 'unknown';
+  }
+}
+
+/**
+ * The current lock holder, or null when the workspace is not locked
+ */
+function readLock(repoRoot) {
+  const file = lockPath(repoRoot);
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch {
+    // Half-written or edited by hand; still a lock, but nobody can be named
+    return { corrupt: true };
+  }
+}
+
+/**
+ * Whether the holder's process is known to be gone
+ *
+ * Only processes on this host can be checked; a lock taken elsewhere (a shared
+ * repository root) is never considered stale.
+ */
+function isStale(holder) {
+  if (holder.corrupt || holder.host !== os.hostname() || !Number.isInteger(holder.pid)) {
+    return false;
+  }
+
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * One-line description, e.g. "alice running `update develop` since 10:42 (pid 4242 on web1)"
+ */
+function describeHolder(holder) {
+  if (holder.corrupt) {
+    return 'an unreadable lock file';
+  }
+
+  const started = new Date(holder.started);
+  const sameDay = started.toDateString() === new Date().toDateString();
+  const time = started.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  const since = sameDay ? time : `${started.toLocaleDateString()} ${time}`;
+  return `${holder.user} running \`${holder.command}\` since ${since} (pid ${holder.pid} on ${holder.host})`;
+}
+
+/**
+ * Try to take the lock for command
+ *
+ * Returns { acquired: true, lock, replaced } or { acquired: false, holder }.
+ * A stale lock is taken over and its holder returned as replaced.
+ */
+function acquireLock(repoRoot, command) {
+  const file = lockPath(repoRoot);
+  const lock = {
+    user: currentUser(),
+    command,
+    pid: process.pid,
+    host: os.hostname(),
+    started: new Date().toISOString()
+  };
+
+  let replaced = null;
+
+  fs.mkdirSync(repoRoot, { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      // "wx" fails if the file exists, so two runs can never both create it
+      fs.writeFileSync(file, JSON.stringify(lock, null, 2) + '\n', { flag: 'wx' });
+      return { acquired: true, lock, replaced };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const holder = readLock(repoRoot);
+    if (holder && !isStale(holder)) {
+      return { acquired: false, holder };
+    }
+    if (holder) {
+      replaced = holder;
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  return { acquired: false, holder: readLock(repoRoot) || { corrupt: true } };
+}
+
+/**
+ * Remove the lock if it is still the one this process took
+ */
+function releaseLock(repoRoot, lock) {
+  const holder = readLock(repoRoot);
+  if (holder && holder.pid === lock.pid && holder.started === lock.started) {
+    fs.rmSync(lockPath(repoRoot), { force: true });
+  }
+}
+
+/**
+ * Remove the lock whoever holds it, returning the previous holder (or null)
+ */
+function breakLock(repoRoot) {
+  const holder = readLock(repoRoot);
+  if (holder) {
+    fs.rmSync(lockPath(repoRoot), { force: true });
+  }
+  return holder;
+}
+
+module.exports = {
+  LOCK_FILE,
+  lockPath,
+  readLock,
+  isStale,
+  describeHolder,
+  acquireLock,
+  releaseLock,
+  breakLock
+};
@@ -0,0 +1,196 @@
+/**
+ * Workspace reports for standups and release notes
+ *
+ * A report combines the status, stash count, recent commits and open PRs of
+ * every service. It is rendered as Markdown (to paste into chat or a ticket)
+ * or as a self-contained HTML page with inline styles.
+ */
+
+const REPORT_FORMATS = ['markdown', 'html'];
+
+/**
+ * The report format for a --format value or output file name
+ */
+function reportFormat(format, file) {
+  if (format) {
+    const normalized = format === 'md' ? 'markdown' : format;
+    if (!REPORT_FORMATS.includes(normalized)) {
+      throw new Error(`Unknown report format '${format}' (expected markdown or html)`);
+    }
+    return normalized;
+  }
+  return file && /\.html?$/i.test(file) ? 'html' : 'markdown';
+}
+
+function formatDate(value) {
+  return new Date(value).toISOString().split('T')[0];
+}
+
+// One-line summary of a service's state, e.g. "2 ahead, 3 uncommitted"
+function describeState(status) {
+  if (status.error) {
+    return `Error: ${status.error}`;
+  }
+  const parts = [];
+  if (status.commitsAhead > 0) parts.push(`${status.commitsAhead} ahead`);
+  if (status.commitsBehind > 0) parts.push(`${status.commitsBehind} behind`);
+  if (status.uncommittedFiles > 0) parts.push(`${status.uncommittedFiles} uncommitted`);
+  return parts.length > 0 ? parts.join(', ') : 'clean';
+}
+
+function describePR(pr) {
+  return `${pr.title}${pr.isDraft ? ' (draft)' : ''} by ${pr.author ? pr.author.login : 'unknown'}, ${formatDate(pr.createdAt)}`;
+}
+
+// Commits a service had since the report's start, and how many were left out
+function activityFor(report, service) {
+  const activity = report.activity.find(entry => entry.service === service);
+  if (!activity || activity.commits.length === 0) {
+    return null;
+  }
+  return { commits: activity.commits, more: Math.max(activity.total - activity.commits.length, 0) };
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/[|\\`*_[\]<>]/g, '\\$&');
+}
+
+/**
+ * Render a report as Markdown
+ */
+function renderMarkdown(report) {
+  const lines = [
+    `# Workspace Report: ${formatDate(report.generated)}`,
+    '',
+    `Environment: ${report.environment} · Repository root: \`${report.repoRoot}\` · Activity since ${formatDate(report.since)}`,
+    '',
+    '## Repository Status',
+    '',
+    '| Service | Branch | State | Stashes |',
+    '| --- | --- | --- | --- |'
+  ];
+
+  report.services.forEach(status => {
+    lines.push(`| ${escapeMarkdown(status.service)} | ${escapeMarkdown(status.branch || '-')} | ${escapeMarkdown(describeState(status))} | ${status.stashes} |`);
+  });
+
+  lines.push('', '## Open Pull Requests', '');
+  const tickets = Object.entries(report.pullRequests.byTicket);
+  if (tickets.length === 0 && report.pullRequests.other.length === 0) {
+    lines.push('No open pull requests.');
+  }
+  tickets.forEach(([ticket, prs]) => {
+    lines.push(`### ${ticket}`, '');
+    prs.forEach(pr => lines.push(`- **${pr.service}** [#${pr.number}](${pr.url}): ${escapeMarkdown(describePR(pr))}`));
+    lines.push('');
+  });
+  if (report.pullRequests.other.length > 0) {
+    lines.push('### Other', '');
+    report.pullRequests.other.forEach(pr => lines.push(`- **${pr.service}** [#${pr.number}](${pr.url}): ${escapeMarkdown(describePR(pr))}`));
+  }
+
+  lines.push('', '## Recent Activity', '');
+  const active = report.services.filter(status => activityFor(report, status.service));
+  if (active.length === 0) {
+    lines.push(`No commits since ${formatDate(report.since)}.`);
+  }
+  active.forEach(({ service }) => {
+    const { commits, more } = activityFor(report, service);
+    lines.push(`### ${service}`, '');
+    commits.forEach(commit => lines.push(`- \`${commit.hash}\` ${escapeMarkdown(commit.message)} (${escapeMarkdown(commit.author)}, ${formatDate(commit.date)})`));
+    if (more > 0) {
+      lines.push(`- … and ${more} more`);
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 60em; color: #24292f; }
+  h1 { border-bottom: 1px solid #d0d7de; padding-bottom: .3em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #d0d7de; padding: .4em .8em; text-align: left; }
+  th { background: #f6f8fa; }
+  code { background: #f6f8fa; padding: .1em .3em; border-radius: 3px; }
+  .meta { color: #57606a; }
+  .clean { color: #1a7f37; }
+  .attention { color: #9a6700; }
+  .error { color: #cf222e; }
+`;
+
+/**
+ * Render a report as a self-contained HTML page
+ */
+function renderHtml(report) {
+  const stateClass = status => status.error ? 'error' : describeState(status) === 'clean' ? 'clean' : 'attention';
+  const prItem = pr => `<li><strong>${escapeHtml(pr.service)}</strong> <a href="${escapeHtml(pr.url)}">#${pr.number}</a>: ${escapeHtml(describePR(pr))}</li>`;
+
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>Workspace Report: ${formatDate(report.generated)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>Workspace Report: ${formatDate(report.generated)}</h1>`,
+    `<p class="meta">Environment: ${escapeHtml(report.environment)} · Repository root: <code>${escapeHtml(report.repoRoot)}</code> · Activity since ${formatDate(report.since)}</p>`,
+    '<h2>Repository Status</h2>',
+    '<table>',
+    '<tr><th>Service</th><th>Branch</th><th>State</th><th>Stashes</th></tr>'
+  ];
+
+  report.services.forEach(status => {
+    parts.push(`<tr><td>${escapeHtml(status.service)}</td><td>${escapeHtml(status.branch || '-')}</td><td class="${stateClass(status)}">${escapeHtml(describeState(status))}</td><td>${status.stashes}</td></tr>`);
+  });
+  parts.push('</table>', '<h2>Open Pull Requests</h2>');
+
+  const tickets = Object.entries(report.pullRequests.byTicket);
+  if (tickets.length === 0 && report.pullRequests.other.length === 0) {
+    parts.push('<p>No open pull requests.</p>');
+  }
+  tickets.forEach(([ticket, prs]) => {
+    parts.push(`<h3>${escapeHtml(ticket)}</h3>`, '<ul>', ...prs.map(prItem), '</ul>');
+  });
+  if (report.pullRequests.other.length > 0) {
+    parts.push('<h3>Other</h3>', '<ul>', ...report.pullRequests.other.map(prItem), '</ul>');
+  }
+
+  parts.push('<h2>Recent Activity</h2>');
+  const active = report.services.filter(status => activityFor(report, status.service));
+  if (active.length === 0) {
+    parts.push(`<p>No commits since ${formatDate(report.since)}.</p>`);
+  }
+  active.forEach(({ service }) => {
+    const { commits, more } = activityFor(report, service);
+    parts.push(`<h3>${escapeHtml(service)}</h3>`, '<ul>');
+    commits.forEach(commit => parts.push(`<li><code>${escapeHtml(commit.hash)}</code> ${escapeHtml(commit.message)} (${escapeHtml(commit.author)}, ${formatDate(commit.date)})</li>`));
+    if (more > 0) {
+      parts.push(`<li>… and ${more} more</li>`);
+    }
+    parts.push('</ul>');
+  });
+
+  parts.push('</body>', '</html>');
+  return parts.join('\n') + '\n';
+}
+
+/**
+ * Render a report in the given format ('markdown' or 'html')
+ */
+function renderReport(report, format) {
+  return format === 'html' ? renderHtml(report) : renderMarkdown(report);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  reportFormat,
+  renderReport
+};
@@ -0,0 +1,302 @@
+/**
+ * Service registry for REN360 microservices
+ *
+ * The registry lives in services.json next to repo-manager.js. A "services"
+ * section in ~/.ren360rc or ./.ren360rc can override or extend entries, and
+ * "groups" and "hooks" sections can add or redefine named groups and group hooks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { branchNameProblem } = require('./git-refs');
+const { validateHooks } = require('./hooks');
+
+const REGISTRY_FILE = path.join(__dirname, '..', 'services.json');
+
+const RUNTIMES = ['php', 'node'];
+const PACKAGE_MANAGERS = ['composer', 'npm', 'none'];
+
+/**
+ * Default directory name for a service (users -> microUsers)
+ */
+function defaultDirectory(name) {
+  return `micro${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+}
+
+/**
+ * Fill in defaults for a service definition
+ */
+function normalizeServiceDefinition(name, definition = {}) {
+  const runtime = definition.runtime || 'php';
+  const packageManager = definition.packageManager || (runtime === 'node' ? 'npm' : 'composer');
+
+  return {
+    directory: definition.directory || defaultDirectory(name),
+    runtime,
+    phpBinary: definition.phpBinary || null,
+    composerBinary: definition.composerBinary || (packageManager === 'composer' ? 'composer' : null),
+    packageManager,
+    deployTarget: definition.deployTarget || null,
+    remote: definition.remote || null,
+    defaultBranch: definition.defaultBranch || null,
+    baseBranch: definition.baseBranch || null,
+    tags: Array.isArray(definition.tags) ? definition.tags : [],
+    hooks: definition.hooks || {},
+    enabled: definition.enabled !== false
+  };
+}
+
+/**
+ * Validate a service definition, returning a list of problems
+ */
+function validateServiceDefinition(name, definition) {
+  const problems = [];
+
+  if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+    problems.push(`Invalid service name '${name}' (use lowercase letters, digits and dashes)`);
+  }
+
+  if (!definition || typeof definition !== 'object') {
+    problems.push('Definition must be an object');
+    return problems;
+  }
+
+  if (!definition.directory || typeof definition.directory !== 'string') {
+    problems.push('Missing "directory"');
+  }
+
+  if (!RUNTIMES.includes(definition.runtime)) {
+    problems.push(`Unknown runtime '${definition.runtime}' (expected ${RUNTIMES.join(', ')})`);
+  }
+
+  if (!PACKAGE_MANAGERS.includes(definition.packageManager)) {
+    problems.push(`Unknown packageManager '${definition.packageManager}' (expected ${PACKAGE_MANAGERS.join(', ')})`);
+  }
+
+  if (definition.packageManager === 'composer' && !definition.composerBinary) {
+    problems.push('"composerBinary" is required when packageManager is composer');
+  }
+
+  if (definition.phpBinary && definition.runtime !== 'php') {
+    problems.push('"phpBinary" is only used by php services');
+  }
+
+  for (const key of ['remote', 'defaultBranch', 'baseBranch']) {
+    if (definition[key] && typeof definition[key] !== 'string') {
+      problems.push(`"${key}" must be a string`);
+    }
+  }
+
+  for (const key of ['defaultBranch', 'baseBranch']) {
+    if (typeof definition[key] === 'string' && branchNameProblem(definition[key])) {
+      problems.push(`"${key}" ${branchNameProblem(definition[key])}`);
+    }
+  }
+
+  if (definition.tags && (!Array.isArray(definition.tags) || definition.tags.some(tag => typeof tag !== 'string'))) {
+    problems.push('"tags" must be a list of strings');
+  }
+
+  if (definition.hooks) {
+    problems.push(...validateHooks(definition.hooks));
+  }
+
+  return problems;
+}
+
+/**
+ * Validate group definitions against the registered services
+ */
+function validateGroups(groups, services) {
+  const problems = [];
+
+  for (const [group, members] of Object.entries(groups)) {
+    if (!Array.isArray(members)) {
+      problems.push(`Group '${group}' must be a list of service names`);
+      continue;
+    }
+
+    members
+      .filter(member => !services[member])
+      .forEach(member => problems.push(`Group '${group}' references unknown service '${member}'`));
+  }
+
+  return problems;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the registry, applying .ren360rc "services" sections in order
+ *
+ * Returns { services, sources, groups, hooks } where services maps name ->
+ * normalized definition, sources maps name -> file the definition came from,
+ * groups maps group name -> list of service names and hooks maps group or tag
+ * name -> { event: commands } (see lib/hooks.js).
+ */
+function loadServiceRegistry(options = {}) {
+  const { file = REGISTRY_FILE, rcPaths = [] } = options;
+  const services = {};
+  const sources = {};
+  let groups = {};
+  let hooks = {};
+
+  if (fs.existsSync(file)) {
+    const registry = readJson(file);
+    for (const [name, definition] of Object.entries(registry.services || {})) {
+      services[name] = definition;
+      sources[name] = file;
+    }
+    groups = { ...(registry.groups || {}) };
+    hooks = { ...(registry.hooks || {}) };
+  }
+
+  for (const rcPath of rcPaths) {
+    if (!fs.existsSync(rcPath)) {
+      continue;
+    }
+
+    const config = readJson(rcPath);
+    for (const [name, definition] of Object.entries(config.services || {})) {
+      services[name] = { ...(services[name] || {}), ...definition };
+      sources[name] = rcPath;
+    }
+    groups = { ...groups, ...(config.groups || {}) };
+    hooks = { ...hooks, ...(config.hooks || {}) };
+  }
+
+  const normalized = {};
+  for (const name of Object.keys(services).sort()) {
+    normalized[name] = normalizeServiceDefinition(name, services[name]);
+  }
+
+  return { services: normalized, sources, groups, hooks };
+}
+
+/**
+ * Services in a named group, or tagged with the name (the runtime counts as a tag)
+ */
+function groupMembers(registry, groupName) {
+  const { services, groups = {} } = registry;
+  if (groups[groupName]) {
+    return groups[groupName];
+  }
+  return Object.keys(services).filter(name =>
+    services[name].runtime === groupName || services[name].tags.includes(groupName));
+}
+
+/**
+ * Resolve --group/--only/--exclude selectors to a list of service names
+ *
+ * A group name matches a named group first, then any service tagged with it
+ * (the runtime counts as a tag, so "php" and "node" always work). Disabled
+ * services are only selected when named explicitly with --only.
+ */
+function selectServices(registry, selection = {}) {
+  const { services, groups = {} } = registry;
+  const { groups: groupNames = [], only = [], exclude = [] } = selection;
+
+  const checkKnown = (name) => {
+    if (!services[name]) {
+      throw new Error(`Service '${name}' not found`);
+    }
+  };
+
+  only.forEach(checkKnown);
+  exclude.forEach(checkKnown);
+
+  let selected = Object.keys(services).filter(name => services[name].enabled);
+
+  if (groupNames.length > 0) {
+    const members = new Set();
+
+    for (const groupName of groupNames) {
+      const matches = groupMembers(registry, groupName);
+
+      if (matches.length === 0) {
+        throw new Error(`Unknown group or tag '${groupName}'`);
+      }
+      matches.forEach(name => members.add(name));
+    }
+
+    selected = selected.filter(name => members.has(name));
+  }
+
+  if (only.length > 0) {
+    selected = groupNames.length > 0
+      ? selected.filter(name => only.includes(name))
+      : Object.keys(services).filter(name => only.includes(name));
+  }
+
+  selected = selected.filter(name => !exclude.includes(name));
+
+  if (selected.length === 0) {
+    throw new Error('No services match the selection');
+  }
+
+  return selected;
+}
+
+/**
+ * Resolve the checkout path of a service under the repository root
+ */
+function resolveServicePath(repoRoot, definition) {
+  const directory = path.isAbsolute(definition.directory)
+    ? definition.directory
+    : path.join(repoRoot, definition.directory);
+
+  return directory.endsWith(path.sep) ? directory : directory + path.sep;
+}
+
+/**
+ * Clone URL of a service: its own "remote", or <remoteBase>/<directory>.git
+ * when a remote base is configured. Returns null when neither is set.
+ */
+function resolveRemoteUrl(definition, remoteBase = null) {
+  if (definition.remote) {
+    return definition.remote;
+  }
+  if (!remoteBase) {
+    return null;
+  }
+  return `${remoteBase.replace(/\/+$/, '')}/${path.basename(definition.directory)}.git`;
+}
+
+/**
+ * Add or replace a service entry in the registry file
+ */
+function saveServiceDefinition(name, definition, file = REGISTRY_FILE) {
+  const registry = fs.existsSync(file) ? readJson(file) : { version: '1.0', services: {} };
+  registry.services = registry.services || {};
+  registry.services[name] = definition;
+
+  const sorted = {};
+  for (const key of Object.keys(registry.services).sort()) {
+    sorted[key] = registry.services[key];
+  }
+  registry.services = sorted;
+
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n');
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  RUNTIMES,
+  PACKAGE_MANAGERS,
+  defaultDirectory,
+  normalizeServiceDefinition,
+  validateServiceDefinition,
+  validateGroups,
+  loadServiceRegistry,
+  groupMembers,
+  selectServices,
+  resolveServicePath,
+  resolveRemoteUrl,
+  saveServiceDefinition
+};
@@ -0,0 +1,111 @@
+/**
+ * Workspace snapshots: the branch, commit and local changes of every service
+ *
+ * Snapshots are JSON files under ~/.ren360/snapshots/<name>.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const SNAPSHOT_DIR = path.join(os.homedir(), '.ren360', 'snapshots');
+
+// Fields compared by diffSnapshots, in display order
+const COMPARED_FIELDS = ['branch', 'sha', 'dirty', 'stash'];
+
+function validateSnapshotName(name) {
+  if (!name || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+    throw new Error(`Invalid snapshot name '${name || ''}' (use letters, digits, dots, dashes and underscores)`);
+  }
+}
+
+function snapshotPath(name, dir = SNAPSHOT_DIR) {
+  validateSnapshotName(name);
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Write a snapshot, refusing to overwrite unless force is set
+ */
+function saveSnapshot(snapshot, options = {}) {
+  const { dir = SNAPSHOT_DIR, force = false } = options;
+  const file = snapshotPath(snapshot.name, dir);
+
+  if (fs.existsSync(file) && !force) {
+    throw new Error(`Snapshot '${snapshot.name}' already exists (use --force to overwrite)`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+  return file;
+}
+
+function loadSnapshot(name, dir = SNAPSHOT_DIR) {
+  const file = snapshotPath(name, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Snapshot '${name}' not found in ${dir}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Error reading ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * List saved snapshots, newest first
+ */
+function listSnapshots(dir = SNAPSHOT_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      } catch {
+        return { name: path.basename(file, '.json'), created: null, services: {}, corrupt: true };
+      }
+    })
+    .sort((a, b) => new Date(b.created || 0) - new Date(a.created || 0));
+}
+
+/**
+ * Compare two snapshots service by service
+ *
+ * Returns one entry per service present in either snapshot:
+ * { service, status: 'same' | 'changed' | 'added' | 'removed', changes: [{ field, from, to }] }
+ */
+function diffSnapshots(from, to) {
+  const names = [...new Set([...Object.keys(from.services), ...Object.keys(to.services)])].sort();
+
+  return names.map(service => {
+    const before = from.services[service];
+    const after = to.services[service];
+
+    if (!before) {
+      return { service, status: 'added', changes: [] };
+    }
+    if (!after) {
+      return { service, status: 'removed', changes: [] };
+    }
+
+    const changes = COMPARED_FIELDS
+      .filter(field => (before[field] || null) !== (after[field] || null))
+      .map(field => ({ field, from: before[field] || null, to: after[field] || null }));
+
+    return { service, status: changes.length > 0 ? 'changed' : 'same', changes };
+  });
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  validateSnapshotName,
+  saveSnapshot,
+  loadSnapshot,
+  listSnapshots,
+  diffSnapshots
+};
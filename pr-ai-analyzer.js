@@ -10,7 +10,7 @@
  * - Review architectural impacts
  */
 
-const { execSync } = require('child_process');
+const { execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 
@@ -25,11 +25,11 @@ if (!ticketNumber) {
 console.log(`Analyzing PRs for REN-${ticketNumber}...\n`);
 
 try {
-  // Get PR data using repo-manager
-  const prData = execSync(`node repo-manager.js review ${ticketNumber} --analyze`, {
+  // Get PR data using repo-manager (one object per PR)
+  const prs = JSON.parse(execFileSync(process.execPath, ['repo-manager.js', 'review', ticketNumber, '--analyze', '--json'], {
     encoding: 'utf8',
     cwd: __dirname
-  });
+  }));
   
   // Read the generated analysis file
   const analysisFile = `/tmp/pr-analysis-${ticketNumber}.txt`;
@@ -97,7 +97,7 @@ Format your response with clear sections and bullet points for readability.
   
   // If gh copilot is available, offer to run it
   try {
-    execSync('gh copilot --version', { stdio: 'ignore' });
+    execFileSync('gh', ['copilot', '--version'], { stdio: 'ignore' });
     console.log('\nGitHub Copilot detected! Run analysis now? (y/n)');
     
     // Note: In a real implementation, you'd handle user input here
@@ -109,25 +109,8 @@ Format your response with clear sections and bullet points for readability.
   // Generate a quick summary without AI
   console.log('\n=== Quick Analysis Summary ===');
   
-  // Parse the basic PR data
-  const prDataLines = prData.split('\n');
-  let totalChanges = 0;
-  let services = new Set();
-  
-  prDataLines.forEach(line => {
-    if (line.includes('Changes:')) {
-      const match = line.match(/\+(\d+) -(\d+)/);
-      if (match) {
-        totalChanges += parseInt(match[1]) + parseInt(match[2]);
-      }
-    }
-    if (line.includes(':') && !line.includes('===')) {
-      const service = line.trim().split(':')[0];
-      if (service && !service.includes(' ')) {
-        services.add(service);
-      }
-    }
-  });
+  const totalChanges = prs.reduce((sum, pr) => sum + (pr.additions || 0) + (pr.deletions || 0), 0);
+  const services = new Set(prs.map(pr => pr.service));
   
   console.log(`\nScope: ${services.size} services affected`);
   console.log(`Size: ${totalChanges} total lines changed`);
@@ -1,10 +1,65 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const os = require('os');
+const { loadBranchManifest } = require('./lib/branch-manifest');
+const { writeOutput, formatCommand, runCommand, runWithRetry, runParallel, classifyError, summarizeError } = require('./lib/executor');
+const { validateBranchName } = require('./lib/git-refs');
+const {
+  SNAPSHOT_DIR,
+  validateSnapshotName,
+  saveSnapshot,
+  loadSnapshot,
+  listSnapshots,
+  diffSnapshots
+} = require('./lib/snapshots');
+const {
+  DEFAULT_LOCK_FILE,
+  writeLockManifest,
+  loadLockManifest
+} = require('./lib/lock-manifest');
+const {
+  lockPath,
+  readLock,
+  isStale,
+  describeHolder,
+  acquireLock,
+  releaseLock,
+  breakLock
+} = require('./lib/operation-lock');
+const {
+  AUDIT_FILE,
+  createAuditEntry,
+  appendAuditEntry,
+  readAuditEntries,
+  findAuditEntry
+} = require('./lib/audit-log');
+const {
+  REGISTRY_FILE,
+  defaultDirectory,
+  normalizeServiceDefinition,
+  validateServiceDefinition,
+  validateGroups,
+  loadServiceRegistry,
+  groupMembers,
+  selectServices,
+  resolveServicePath,
+  resolveRemoteUrl,
+  saveServiceDefinition
+} = require('./lib/services');
+const { validateHooks, resolveHooks } = require('./lib/hooks');
+const { reportFormat, renderReport } = require('./lib/report');
+const { BRANCH_TYPES, renderBranchName, ticketFromBranch } = require('./lib/branch-naming');
+const {
+  DEFAULT_REPO_ROOT,
+  WRITABLE_LAYERS,
+  loadConfig,
+  saveProfile,
+  setConfigValue,
+  writeRcValues
+} = require('./lib/config');
 
 // Import AI Agent if available
 let AIAgent, loadApiKey, getModel, getMaxTokens;
@@ -18,24 +73,8 @@ try {
   // AI module not available
 }
 
-// Load environment variables including GH_TOKEN
-function loadEnvVar(varName) {
-  const envPath = path.join(__dirname, '.env');
-  if (fs.existsSync(envPath)) {
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const match = envContent.match(new RegExp(`${varName}=(.+)`));
-    if (match) {
-      return match[1].trim();
-    }
-  }
-  return process.env[varName];
-}
-
-// Set GH_TOKEN if available
-const ghToken = loadEnvVar('GH_TOKEN');
-if (ghToken) {
-  process.env.GH_TOKEN = ghToken;
-}
+// Layered configuration (flags, environment, .ren360rc, .env), loaded in main()
+let CONFIG = null;
 
 // Color codes for console output
 const colors = {
@@ -50,188 +89,566 @@ const colors = {
 };
 
 // Configuration
-const DEFAULT_REPO_ROOT = '/var/amarki/repository';
 let REPO_ROOT = DEFAULT_REPO_ROOT;
 
-// Check for custom repository root from environment or config file
-function getRepoRoot() {
-  let repoRoot = null;
-  
-  // 1. Check environment variable
-  if (process.env.REN360_REPO_ROOT) {
-    repoRoot = process.env.REN360_REPO_ROOT;
+// Get the current environment (development or production)
+function getEnvironment() {
+  return CONFIG.get('environment');
+}
+
+// Service definitions (will be populated based on REPO_ROOT)
+// services maps name -> checkout path for enabled services;
+// serviceRegistry keeps the full definition of every registered service
+let services = {};
+let serviceRegistry = {};
+let serviceSources = {};
+let serviceGroups = {};
+let serviceHooks = {};
+
+// Service selectors from --group=, --only= and --exclude=, or from the
+// active profile when none of those flags are given
+let SERVICE_SELECTION = { groups: [], only: [], exclude: [] };
+let SELECTION_FROM_PROFILE = false;
+
+function getRcPaths() {
+  // Home config first so the local .ren360rc wins
+  return [CONFIG.files.home, CONFIG.files.local];
+}
+
+function initializeServices() {
+  const registry = loadServiceRegistry({ rcPaths: getRcPaths() });
+  serviceRegistry = registry.services;
+  serviceSources = registry.sources;
+  serviceGroups = registry.groups;
+  serviceHooks = registry.hooks;
+  
+  services = {};
+  for (const [name, definition] of Object.entries(serviceRegistry)) {
+    if (definition.enabled) {
+      services[name] = resolveServicePath(REPO_ROOT, definition);
+    }
+  }
+}
+
+// Resolve the services a command should run against. A positional service
+// name behaves like --only=<name>; group and exclude selectors still apply,
+// but a profile's service subset does not.
+function getServicesToProcess(serviceName = null) {
+  let selection = SERVICE_SELECTION;
+  if (serviceName) {
+    selection = SELECTION_FROM_PROFILE
+      ? { groups: [], only: [serviceName], exclude: [] }
+      : { ...SERVICE_SELECTION, only: [serviceName] };
   }
   
-  // 2. Check .ren360rc config file in current directory
-  if (!repoRoot) {
-    const localConfig = path.join(process.cwd(), '.ren360rc');
-    if (fs.existsSync(localConfig)) {
-      try {
-        const config = JSON.parse(fs.readFileSync(localConfig, 'utf8'));
-        if (config.repoRoot) {
-          repoRoot = config.repoRoot;
-        }
-      } catch (error) {
-        console.error(`Error reading ${localConfig}: ${error.message}`);
-      }
+  try {
+    const names = selectServices({ services: serviceRegistry, groups: serviceGroups }, selection);
+    const selected = {};
+    names.forEach(name => {
+      selected[name] = resolveServicePath(REPO_ROOT, serviceRegistry[name]);
+    });
+    return selected;
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+// Global verbose flag
+let VERBOSE = false;
+
+// How many services are processed at once (--jobs)
+let JOBS = 1;
+
+// --dry-run: print commands that would change something instead of running them
+let DRY_RUN = false;
+
+// --json / --ndjson: print the command's results as JSON instead of text
+let OUTPUT_FORMAT = 'text';
+
+// Set while a command collects another command's results without printing
+// them (report); errors still go to stderr
+let SILENT = false;
+
+// Commands that prompt or print help, so they have no --json mode
+const TEXT_ONLY_COMMANDS = ['setup-ai', 'setup-github', 'setup-gh', 'setup-config', 'help', '--help', '-h'];
+
+// Commands (or "command action") that accept --dry-run
+const DRY_RUN_COMMANDS = [
+  'update', 'create', 'create-branch', 'sync', 'pull', 'stash', 'drop', 'drop-changes', 'pr', 'prune-branches', 'refresh',
+  'exec', 'foreach', 'bootstrap', 'snapshot restore', 'manifest apply'
+];
+
+// Commands that change checkouts or dependencies, so they take the workspace
+// lock; a list limits it to those actions (snapshot restore, not snapshot list)
+const LOCKED_COMMANDS = {
+  update: null,
+  create: null,
+  'create-branch': null,
+  sync: null,
+  pull: null,
+  stash: ['save', 'pop'],
+  drop: null,
+  'drop-changes': null,
+  exec: null,
+  foreach: null,
+  'prune-branches': null,
+  refresh: null,
+  // save adds stash entries for dirty services, so it is locked too
+  snapshot: ['save', 'restore'],
+  manifest: ['apply'],
+  bootstrap: null
+};
+
+// The workspace lock this process holds, if any, and how long to wait for
+// someone else's (--wait: true = indefinitely, or seconds)
+let HELD_LOCK = null;
+let LOCK_WAIT = false;
+
+// Audit entry of the mutating command in progress, with the services it covers
+let ACTIVE_AUDIT = null;
+
+// Git commands that only read, so they still run in dry-run mode
+const READ_ONLY_GIT_COMMANDS = [
+  'rev-parse', 'rev-list', 'diff', 'diff-index', 'status', 'log', 'show', 'cat-file',
+  'ls-files', 'ls-remote', 'symbolic-ref', 'remote get-url', 'stash list', 'branch -a', 'branch -r', 'for-each-ref', 'merge-tree'
+];
+
+// Utility functions
+function log(message, color = 'reset', forceShow = false) {
+  if (OUTPUT_FORMAT !== 'text' || SILENT) {
+    // Keep stdout parseable; errors still go to stderr, without colors
+    if (forceShow && color === 'red') {
+      process.stderr.write(`${message.replace(/\x1b\[\d+m/g, '').trim()}\n`);
     }
+    return;
+  }
+  if (VERBOSE || forceShow) {
+    writeOutput(`${colors[color]}${message}${colors.reset}\n`);
+  }
+}
+
+// Inline progress ("users... ✓"), which JSON output leaves out
+function progress(text) {
+  if (OUTPUT_FORMAT === 'text' && !SILENT) {
+    writeOutput(text);
+  }
+}
+
+// Print a command's results for --json (one document) or --ndjson (one line
+// per record when the results are a list). Commands that stopped before
+// producing results (bad arguments, unknown service) print nothing.
+function emitResults(results) {
+  if (results === undefined) {
+    return;
+  }
+  if (OUTPUT_FORMAT === 'ndjson') {
+    (Array.isArray(results) ? results : [results]).forEach(record => process.stdout.write(`${JSON.stringify(record)}\n`));
+  } else {
+    process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+  }
+}
+
+// Git subcommands that talk to a remote. All of them get the network timeout;
+// clone is not retried because an interrupted clone leaves a directory behind.
+const NETWORK_GIT_COMMANDS = ['fetch', 'pull', 'push', 'ls-remote', 'clone'];
+
+// In dry-run mode, print a command instead of running it. Returns true when
+// the caller should skip the command.
+function planCommand(command) {
+  if (!DRY_RUN) {
+    return false;
+  }
+  log(`${colors.magenta}[dry-run]${colors.reset} ${formatCommand(command)}`, 'reset', true);
+  return true;
+}
+
+// Run a shell command, resolving with its trimmed stdout. Commands marked
+// mutating are only printed in dry-run mode.
+async function execCommand(command, options = {}) {
+  const { mutating = false, ...runOptions } = options;
+  if (mutating && planCommand(command)) {
+    return '';
   }
   
-  // 3. Check .ren360rc config file in home directory
-  if (!repoRoot) {
-    const homeConfig = path.join(require('os').homedir(), '.ren360rc');
-    if (fs.existsSync(homeConfig)) {
-      try {
-        const config = JSON.parse(fs.readFileSync(homeConfig, 'utf8'));
-        if (config.repoRoot) {
-          repoRoot = config.repoRoot;
-        }
-      } catch (error) {
-        console.error(`Error reading ${homeConfig}: ${error.message}`);
-      }
-    }
+  return runCommand(command, { timeout: CONFIG.get('commandTimeout') * 1000, ...runOptions });
+}
+
+// Run a command that talks to a remote (git fetch/pull/push, gh) with the
+// network timeout, retrying timeouts and connection errors with backoff
+async function networkCommand(command, options = {}) {
+  const { mutating = false, ...runOptions } = options;
+  if (mutating && planCommand(command)) {
+    return '';
   }
   
-  // 4. Check .env file for REPO_ROOT
-  if (!repoRoot) {
-    const repoRootFromEnv = loadEnvVar('REPO_ROOT');
-    if (repoRootFromEnv) {
-      repoRoot = repoRootFromEnv;
+  const retries = runOptions.retries !== undefined ? runOptions.retries : CONFIG.get('retries');
+  return runWithRetry(command, {
+    timeout: CONFIG.get('networkTimeout') * 1000,
+    retryDelay: CONFIG.get('retryDelay') * 1000,
+    ...runOptions,
+    retries,
+    onRetry: (error, attempt, delay) => {
+      log(`${describeFailure(error)}; retrying in ${delay / 1000}s (attempt ${attempt + 1} of ${retries + 1})`, 'yellow');
     }
+  });
+}
+
+// One-line failure description for summaries, e.g. "[timeout] timed out after 120s (3 attempts)"
+function describeFailure(error) {
+  const kind = error.kind || classifyError(error);
+  const attempts = error.attempts > 1 ? ` (${error.attempts} attempts)` : '';
+  return `[${kind}] ${summarizeError(error)}${attempts}`;
+}
+
+// Failure counts by kind for summary headers, e.g. " (1 timeout, 2 auth)"
+function failureBreakdown(failed) {
+  const counts = {};
+  failed.forEach(r => {
+    counts[r.errorType] = (counts[r.errorType] || 0) + 1;
+  });
+  const parts = Object.entries(counts).map(([kind, count]) => `${count} ${kind}`);
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+function checkRoot() {
+  return typeof process.getuid === 'function' && process.getuid() === 0;
+}
+
+// gh arguments for PR queries. As root, gh runs as www-data to avoid ownership
+// issues; sudo drops the environment, so the token goes in as VAR=value.
+function ghInvocation(args) {
+  if (!checkRoot()) {
+    return ['gh', ...args];
   }
   
-  // If no repo root found, use default
-  if (!repoRoot) {
-    return DEFAULT_REPO_ROOT;
-  }
+  const ghToken = CONFIG.get('ghToken');
+  return ['sudo', '-u', 'www-data', ...(ghToken ? [`GH_TOKEN=${ghToken}`] : []), 'gh', ...args];
+}
+
+// Prefix for commands that must run as the web server user on production
+function asWebUser() {
+  return getEnvironment() === 'production' ? ['sudo', '-u', 'www-data'] : [];
+}
+
+// Run git with an argument array, e.g. gitCommand(path, ['checkout', branch])
+async function gitCommand(repoPath, args) {
+  // On development environments, run git directly without sudo
+  // On production servers, use sudo -u www-data for proper permissions
+  const gitCmd = [...asWebUser(), 'git', ...args];
   
-  // Expand tilde to home directory
-  if (repoRoot.startsWith('~')) {
-    repoRoot = path.join(os.homedir(), repoRoot.slice(1));
+  const joined = args.join(' ');
+  const mutating = !READ_ONLY_GIT_COMMANDS.some(prefix => joined === prefix || joined.startsWith(`${prefix} `));
+  
+  const subcommand = args[0];
+  if (NETWORK_GIT_COMMANDS.includes(subcommand)) {
+    // Fail instead of waiting for a credentials prompt nobody will answer
+    const options = { cwd: repoPath, env: { GIT_TERMINAL_PROMPT: '0' }, mutating };
+    return networkCommand(gitCmd, subcommand === 'clone' ? { ...options, retries: 0 } : options);
   }
   
-  return repoRoot;
+  return execCommand(gitCmd, { cwd: repoPath, mutating });
 }
 
-// Get the current environment (development or production)
-function getEnvironment() {
-  // 1. Check command line argument (highest priority)
-  const args = process.argv;
-  const envArgIndex = args.findIndex(arg => arg.startsWith('--env='));
-  if (envArgIndex !== -1) {
-    return args[envArgIndex].split('=')[1].toLowerCase();
-  }
+function auditLogPath() {
+  return CONFIG.get('auditLog') || path.join(REPO_ROOT, AUDIT_FILE);
+}
+
+// Branch, commit and number of changed files of each service, for the audit log
+async function captureAuditStates(servicePaths) {
+  const states = await forEachService(servicePaths, async (name, repoPath) => {
+    if (!fs.existsSync(path.join(repoPath, '.git'))) {
+      return null;
+    }
+    try {
+      return {
+        branch: await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']),
+        sha: await gitCommand(repoPath, ['rev-parse', 'HEAD']),
+        dirty: (await gitCommand(repoPath, ['status', '--porcelain'])).split('\n').filter(Boolean).length
+      };
+    } catch {
+      return null;
+    }
+  });
   
-  // 2. Check environment variable
-  const envVar = process.env.REN360_ENVIRONMENT;
-  if (envVar) {
-    return envVar.toLowerCase();
+  const byService = {};
+  Object.keys(servicePaths).forEach((name, index) => {
+    byService[name] = states[index];
+  });
+  return byService;
+}
+
+// Record the state of the selected services before a mutating command.
+// Dry runs change nothing and are not recorded.
+async function startAudit(command, args) {
+  if (DRY_RUN) {
+    return;
   }
   
-  // 3. Check .ren360rc config files
-  // Check local directory first
-  if (fs.existsSync('.ren360rc')) {
-    try {
-      const config = JSON.parse(fs.readFileSync('.ren360rc', 'utf8'));
-      if (config.environment) {
-        return config.environment.toLowerCase();
-      }
-    } catch {}
+  let servicePaths = {};
+  try {
+    selectServices({ services: serviceRegistry, groups: serviceGroups }, SERVICE_SELECTION).forEach(name => {
+      servicePaths[name] = resolveServicePath(REPO_ROOT, serviceRegistry[name]);
+    });
+  } catch {
+    // The command reports a bad selection itself
   }
   
-  // Check home directory
-  const homeConfig = path.join(os.homedir(), '.ren360rc');
-  if (fs.existsSync(homeConfig)) {
-    try {
-      const config = JSON.parse(fs.readFileSync(homeConfig, 'utf8'));
-      if (config.environment) {
-        return config.environment.toLowerCase();
-      }
-    } catch {}
+  const entry = createAuditEntry(command, args, { environment: getEnvironment(), repoRoot: REPO_ROOT });
+  ACTIVE_AUDIT = { entry, servicePaths, before: await captureAuditStates(servicePaths) };
+}
+
+// Append the audit entry: before/after state of every service the command
+// reported on or changed, its results and its exit code
+async function finishAudit(results, error = null) {
+  const { entry, servicePaths, before } = ACTIVE_AUDIT;
+  ACTIVE_AUDIT = null;
+  
+  const after = await captureAuditStates(servicePaths);
+  const reported = Array.isArray(results) ? results.map(r => r && r.service).filter(Boolean) : [];
+  
+  entry.services = {};
+  Object.keys(servicePaths)
+    .filter(name => reported.includes(name) || JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+    .forEach(name => {
+      entry.services[name] = { before: before[name], after: after[name] };
+    });
+  
+  // Stopped by a check before doing anything (bad ticket, not root, ...)
+  if (results === undefined && !error && Object.keys(entry.services).length === 0) {
+    return;
   }
   
-  // 4. Check .env file
-  const envFromFile = loadEnvVar('ENVIRONMENT');
-  if (envFromFile) {
-    return envFromFile.toLowerCase();
+  entry.finished = new Date().toISOString();
+  entry.exitCode = error ? 1 : (process.exitCode || 0);
+  entry.error = error ? error.message : null;
+  entry.results = results === undefined ? null : results;
+  
+  try {
+    appendAuditEntry(auditLogPath(), entry);
+  } catch (appendError) {
+    log(`Warning: Could not write audit log ${auditLogPath()}: ${appendError.message}`, 'yellow', true);
   }
+}
+
+// Run the hooks configured for event in a service's directory (as www-data on
+// production), stopping at the first failure. Returns one record per command
+// run; results carry them so they end up in the update log.
+async function runHooks(event, serviceName, repoPath, context = {}) {
+  const definition = serviceRegistry[serviceName];
+  if (!definition) {
+    return [];
+  }
+  
+  const registry = { services: serviceRegistry, groups: serviceGroups };
+  const hooks = resolveHooks(definition, event, serviceHooks,
+    group => groupMembers(registry, group).includes(serviceName));
   
-  // 5. Auto-detect based on platform and paths
-  if (process.platform === 'linux' && fs.existsSync('/var/amarki/repository')) {
-    return 'production';
+  const records = [];
+  for (const hook of hooks) {
+    log(`Running ${event} hook: ${hook.command}`, 'blue');
+    
+    const env = [`REN360_SERVICE=${serviceName}`, `REN360_HOOK=${event}`];
+    if (context.branch) {
+      env.push(`REN360_BRANCH=${context.branch}`);
+    }
+    
+    const started = Date.now();
+    const record = { event, command: hook.command, source: hook.source, success: true };
+    try {
+      // sudo drops the environment, so the variables go through env(1)
+      record.output = await execCommand([...asWebUser(), 'env', ...env, 'sh', '-c', hook.command], { cwd: repoPath, mutating: true });
+      if (record.output) {
+        log(record.output);
+      }
+    } catch (error) {
+      record.success = false;
+      record.error = summarizeError(error);
+      log(`${event} hook failed: ${record.error}`, 'red');
+    }
+    record.duration = Date.now() - started;
+    records.push(record);
+    
+    if (!record.success) {
+      break;
+    }
   }
   
-  return 'development';
+  return records;
 }
 
-// Service definitions (will be populated based on REPO_ROOT)
-let services = {};
+// Throw if a pre-* hook failed, so the operation stops before touching the service
+function checkPreHooks(records) {
+  const failed = records.find(record => !record.success);
+  if (failed) {
+    const error = new Error(`${failed.event} hook failed: ${failed.error}`);
+    error.kind = 'hook';
+    throw error;
+  }
+}
 
-function initializeServices() {
-  services = {
-    ads: path.join(REPO_ROOT, 'microAds/'),
-    emails: path.join(REPO_ROOT, 'microEmails/'),
-    frontend: path.join(REPO_ROOT, 'microFrontend/'),
-    images: path.join(REPO_ROOT, 'microImages/'),
-    integrations: path.join(REPO_ROOT, 'microIntegrations/'),
-    intelligence: path.join(REPO_ROOT, 'microIntelligence/'),
-    sms: path.join(REPO_ROOT, 'microSms/'),
-    social: path.join(REPO_ROOT, 'microSocial/'),
-    templates: path.join(REPO_ROOT, 'microTemplates/'),
-    users: path.join(REPO_ROOT, 'microUsers/')
-  };
+// List post-* hook failures under a summary. Services that failed (including
+// through a pre-* hook) are already listed with their error.
+function reportHookFailures(results) {
+  const failures = results.filter(r => r.success).flatMap(r => (r.hooks || [])
+    .filter(record => !record.success)
+    .map(record => ({ service: r.service, ...record })));
+  
+  if (failures.length > 0) {
+    log(`\nHook failures: ${failures.length}`, 'red', true);
+    failures.forEach(f => log(`  ✗ ${f.service} ${f.event} (${f.command}): ${f.error}`, 'red', true));
+    process.exitCode = 1;
+  }
 }
 
-// Global verbose flag
-let VERBOSE = false;
+// Take the workspace lock for a mutating command. If another run holds it,
+// report who, or with wait poll until it is released (wait = true waits
+// indefinitely, a number gives up after that many seconds). Returns false
+// when the lock could not be taken.
+async function acquireOperationLock(command, wait = LOCK_WAIT) {
+  if (DRY_RUN || HELD_LOCK) {
+    return true;
+  }
+  
+  const deadline = typeof wait === 'number' ? Date.now() + wait * 1000 : Infinity;
+  let waiting = false;
+  
+  while (true) {
+    let attempt;
+    try {
+      attempt = acquireLock(REPO_ROOT, command);
+    } catch (error) {
+      log(`Error: Could not create ${lockPath(REPO_ROOT)}: ${error.message}`, 'red', true);
+      process.exitCode = 1;
+      return false;
+    }
+    
+    if (attempt.acquired) {
+      HELD_LOCK = attempt.lock;
+      if (attempt.replaced) {
+        log(`Removed stale lock from ${describeHolder(attempt.replaced)}`, 'yellow', true);
+      }
+      // process.exit() skips finally blocks, so release on exit as well
+      process.on('exit', releaseOperationLock);
+      return true;
+    }
+    
+    if (!wait || Date.now() >= deadline) {
+      log(`Error: Workspace is locked by ${describeHolder(attempt.holder)}`, 'red', true);
+      log(waiting
+        ? 'Gave up waiting for the lock'
+        : 'Use --wait to wait for it, or "lock break" if that run is no longer active', 'reset', true);
+      process.exitCode = 1;
+      return false;
+    }
+    
+    if (!waiting) {
+      log(`Waiting for lock held by ${describeHolder(attempt.holder)}...`, 'yellow', true);
+      waiting = true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+}
 
-// Utility functions
-function log(message, color = 'reset', forceShow = false) {
-  if (VERBOSE || forceShow) {
-    console.log(`${colors[color]}${message}${colors.reset}`);
+function releaseOperationLock() {
+  if (HELD_LOCK) {
+    releaseLock(REPO_ROOT, HELD_LOCK);
+    HELD_LOCK = null;
+    process.removeListener('exit', releaseOperationLock);
   }
 }
 
-function execCommand(command, options = {}) {
+// Run a mutating operation while holding the workspace lock, and record it
+// in the audit log (interactive mode)
+async function withOperationLock(command, operation) {
+  if (HELD_LOCK || DRY_RUN) {
+    return operation();
+  }
+  if (!(await acquireOperationLock(command))) {
+    return;
+  }
+  
+  const [name, ...args] = command.split(' ');
+  await startAudit(name, args);
+  let results;
   try {
-    return execSync(command, { encoding: 'utf8', ...options }).trim();
+    results = await operation();
+    return results;
   } catch (error) {
-    throw new Error(`Command failed: ${command}\n${error.message}`);
+    await finishAudit(undefined, error);
+    throw error;
+  } finally {
+    if (ACTIVE_AUDIT) {
+      await finishAudit(results);
+    }
+    releaseOperationLock();
   }
 }
 
-function checkRoot() {
+// lock status / lock break
+async function manageOperationLock(action, force = false) {
+  const holder = readLock(REPO_ROOT);
+  
+  if (action === 'status') {
+    if (!holder) {
+      log(`${colors.green}Not locked${colors.reset} (${lockPath(REPO_ROOT)})`, 'reset', true);
+    } else {
+      const stale = isStale(holder) ? ` ${colors.yellow}(stale: the process is gone)${colors.reset}` : '';
+      log(`${colors.red}Locked${colors.reset} by ${describeHolder(holder)}${stale}`, 'reset', true);
+    }
+    return holder;
+  }
+  
+  if (!holder) {
+    log('Not locked, nothing to break', 'reset', true);
+    return null;
+  }
+  
+  // A live holder on this host is most likely still working
+  if (!holder.corrupt && holder.host === os.hostname() && !isStale(holder) && !force) {
+    log(`Error: ${describeHolder(holder)} is still running`, 'red', true);
+    log('Use "lock break --force" to remove the lock anyway', 'reset', true);
+    process.exitCode = 1;
+    return holder;
+  }
+  
   try {
-    const uid = execCommand('id -u');
-    return uid === '0';
-  } catch {
-    return false;
+    breakLock(REPO_ROOT);
+  } catch (error) {
+    log(`Error: Could not remove ${lockPath(REPO_ROOT)}: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return holder;
   }
+  log(`✓ Removed lock held by ${describeHolder(holder)}`, 'green', true);
+  return holder;
 }
 
-function gitCommand(repoPath, command) {
-  // On development environments, run git directly without sudo
-  // On production servers, use sudo -u www-data for proper permissions
-  const environment = getEnvironment();
-  const gitCmd = environment === 'production' ? `sudo -u www-data git ${command}` : `git ${command}`;
-  return execCommand(gitCmd, { cwd: repoPath });
+// Run worker(name, path) for every service, up to JOBS at a time. Output is
+// buffered per service when running in parallel; results keep service order.
+async function forEachService(servicesToProcess, worker, jobs = JOBS) {
+  return runParallel(
+    Object.entries(servicesToProcess),
+    ([name, servicePath], index) => worker(name, servicePath, index),
+    { jobs }
+  );
 }
 
 // Core functions
-function getCurrentBranch(serviceName, repoPath) {
+async function getCurrentBranch(serviceName, repoPath) {
   try {
     if (!fs.existsSync(repoPath)) {
       return { service: serviceName, branch: 'N/A', error: 'Directory not found' };
     }
     
-    const branch = gitCommand(repoPath, 'rev-parse --abbrev-ref HEAD');
+    const branch = await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
     return { service: serviceName, branch, error: null };
   } catch (error) {
     return { service: serviceName, branch: 'N/A', error: error.message };
   }
 }
 
-function getAllBranches(serviceName, repoPath) {
+async function getAllBranches(serviceName, repoPath) {
   try {
     if (!fs.existsSync(repoPath)) {
       return { service: serviceName, branches: [], error: 'Directory not found' };
@@ -239,142 +656,195 @@ function getAllBranches(serviceName, repoPath) {
     
     // Fetch latest to ensure we have all remote branches
     try {
-      gitCommand(repoPath, 'fetch --all --quiet');
+      await gitCommand(repoPath, ['fetch', '--all', '--quiet']);
     } catch (e) {
       // Continue even if fetch fails
     }
     
     // Get all branches (local and remote)
-    const output = gitCommand(repoPath, 'branch -a');
-    const branches = output
+    const output = await gitCommand(repoPath, ['branch', '-a']);
+    const lines = output
       .split('\n')
       .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .map(line => {
-        // Remove markers like * and remotes/origin/
-        line = line.replace(/^\*\s*/, '');
-        line = line.replace(/^remotes\/origin\//, '');
-        return line;
-      })
-      .filter((branch, index, self) => {
-        // Remove duplicates and HEAD reference
-        return branch !== 'HEAD' && self.indexOf(branch) === index;
-      });
+      // Remove the current branch marker and symbolic refs (origin/HEAD -> origin/dev)
+      .map(line => line.replace(/^\*\s*/, ''))
+      .filter(line => line.length > 0 && !line.includes(' -> '));
+    
+    const local = lines.filter(line => !line.startsWith('remotes/'));
+    const remote = lines
+      .filter(line => line.startsWith('remotes/origin/'))
+      .map(line => line.replace(/^remotes\/origin\//, ''));
     
-    return { service: serviceName, branches, error: null };
+    // Remove duplicates and HEAD reference
+    const branches = [...local, ...remote]
+      .filter((branch, index, self) => branch !== 'HEAD' && self.indexOf(branch) === index);
+    
+    return { service: serviceName, branches, local, remote, error: null };
   } catch (error) {
-    return { service: serviceName, branches: [], error: error.message };
+    return { service: serviceName, branches: [], local: [], remote: [], error: error.message };
+  }
+}
+
+// Stash uncommitted changes before moving a service to another ref.
+// Returns the SHA of the new stash entry, or null when the tree was clean.
+async function autoStash(repoPath, reason) {
+  try {
+    await gitCommand(repoPath, ['diff-index', '--quiet', 'HEAD', '--']);
+    return null;
+  } catch {
+    const stashCommand = ['stash', 'push', '-m', `Auto-stash before ${reason} ${new Date().toISOString()}`];
+    
+    if (DRY_RUN) {
+      const changed = (await gitCommand(repoPath, ['status', '--porcelain'])).split('\n').filter(Boolean).length;
+      log(`Dirty working tree: ${changed} changed file(s) would be stashed`, 'yellow');
+      await gitCommand(repoPath, stashCommand);
+      return null;
+    }
+    
+    log('Warning: Uncommitted changes detected, stashing...', 'yellow');
+    await gitCommand(repoPath, stashCommand);
+    return gitCommand(repoPath, ['rev-parse', 'stash@{0}']);
+  }
+}
+
+// Whether origin has the branch. A dry run skips the fetch, so it asks the
+// remote directly rather than trusting possibly stale remote-tracking refs.
+async function remoteBranchExists(repoPath, branch) {
+  if (DRY_RUN) {
+    return (await gitCommand(repoPath, ['ls-remote', '--heads', 'origin', branch])) !== '';
+  }
+  
+  try {
+    await gitCommand(repoPath, ['rev-parse', '--verify', `origin/${branch}`]);
+    return true;
+  } catch {
+    return false;
   }
 }
 
-function updateServiceBranch(serviceName, repoPath, targetBranch, useComposerUpdate = false, skipDeps = false) {
+async function updateServiceBranch(serviceName, repoPath, targetBranch, useComposerUpdate = false, skipDeps = false) {
+  // SHA of the auto-stash, reported even on failure so --atomic can re-apply it
+  let stash = null;
+  const hooks = [];
+  
   try {
     if (!fs.existsSync(repoPath)) {
-      return { service: serviceName, success: false, error: 'Directory not found' };
+      return { service: serviceName, success: false, branch: targetBranch, error: 'Directory not found', errorType: 'not-found' };
     }
     
     if (!VERBOSE) {
-      process.stdout.write(`${colors.yellow}${serviceName}${colors.reset}... `);
+      progress(`${colors.yellow}${serviceName}${colors.reset}... `);
     } else {
       log(`\nUpdating ${serviceName} to branch: ${targetBranch}`, 'yellow');
     }
     
     // Get current branch
-    const currentBranch = gitCommand(repoPath, 'rev-parse --abbrev-ref HEAD');
+    const currentBranch = await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
     log(`Current branch: ${currentBranch}`);
     
+    hooks.push(...await runHooks('pre-update', serviceName, repoPath, { branch: targetBranch }));
+    checkPreHooks(hooks);
+    
     // Check for uncommitted changes
-    try {
-      gitCommand(repoPath, 'diff-index --quiet HEAD --');
-    } catch {
-      log('Warning: Uncommitted changes detected, stashing...', 'yellow');
-      gitCommand(repoPath, `stash push -m "Auto-stash before branch update ${new Date().toISOString()}"`);
-    }
+    stash = await autoStash(repoPath, 'branch update');
     
     // Fetch latest
     log('Fetching latest changes...');
-    gitCommand(repoPath, 'fetch');
+    await gitCommand(repoPath, ['fetch']);
     
     // Check if branch exists
-    try {
-      gitCommand(repoPath, `rev-parse --verify origin/${targetBranch}`);
-    } catch {
-      throw new Error(`Branch '${targetBranch}' does not exist in remote`);
+    if (!(await remoteBranchExists(repoPath, targetBranch))) {
+      const error = new Error(`Branch '${targetBranch}' does not exist in remote`);
+      error.kind = 'not-found';
+      throw error;
+    }
+    if (DRY_RUN) {
+      log(`Branch '${targetBranch}' exists in remote`, 'green');
     }
     
     // Checkout and pull
     log(`Checking out branch ${targetBranch}...`);
-    gitCommand(repoPath, `checkout ${targetBranch}`);
+    await gitCommand(repoPath, ['checkout', targetBranch]);
     
     log('Pulling latest changes...');
-    gitCommand(repoPath, 'pull');
+    await gitCommand(repoPath, ['pull']);
     
     // Update dependencies
     if (!skipDeps) {
-      updateDependencies(serviceName, repoPath, useComposerUpdate);
+      await updateDependencies(serviceName, repoPath, useComposerUpdate);
     } else {
       log('Skipping dependency installation', 'yellow');
     }
     
+    hooks.push(...await runHooks('post-update', serviceName, repoPath, { branch: targetBranch }));
+    const hookResults = hooks.length > 0 ? { hooks } : {};
+    
+    if (DRY_RUN) {
+      log(`Success: ${serviceName} would be updated to ${targetBranch}`, 'green');
+      return { service: serviceName, success: true, branch: targetBranch, stash, ...hookResults };
+    }
+    
     // Get latest commit
-    const latestCommit = gitCommand(repoPath, 'log -1 --pretty=format:"%h - %s (%cr)"');
+    const latestCommit = await gitCommand(repoPath, ['log', '-1', '--pretty=format:%h - %s (%cr)']);
     
     if (!VERBOSE) {
-      console.log(`${colors.green}✓${colors.reset}`);
+      progress(`${colors.green}✓${colors.reset}\n`);
     } else {
       log(`Success: ${serviceName} updated to ${targetBranch}`, 'green');
       log(`Latest commit: ${latestCommit}`);
     }
     
-    return { service: serviceName, success: true, branch: targetBranch, commit: latestCommit };
+    return { service: serviceName, success: true, branch: targetBranch, commit: latestCommit, stash, ...hookResults };
   } catch (error) {
     if (!VERBOSE) {
-      console.log(`${colors.red}✗${colors.reset}`);
+      progress(`${colors.red}✗${colors.reset}\n`);
     } else {
       log(`Error updating ${serviceName}: ${error.message}`, 'red');
     }
-    return { service: serviceName, success: false, error: error.message };
+    const result = { service: serviceName, success: false, branch: targetBranch, error: describeFailure(error), errorType: error.kind || classifyError(error), stash };
+    return hooks.length > 0 ? { ...result, hooks } : result;
+  }
+}
+
+// Installs queued on production: however many services --jobs updates at once,
+// only one composer or npm install runs at a time
+let dependencyQueue = Promise.resolve();
+
+async function updateDependencies(serviceName, repoPath, useUpdate = false) {
+  if (getEnvironment() !== 'production') {
+    return installDependencies(serviceName, repoPath, useUpdate);
   }
+  // installDependencies never rejects, so one failure does not stop the queue
+  dependencyQueue = dependencyQueue.then(() => installDependencies(serviceName, repoPath, useUpdate));
+  return dependencyQueue;
 }
 
-function updateDependencies(serviceName, repoPath, useUpdate = false) {
+async function installDependencies(serviceName, repoPath, useUpdate) {
   try {
     const environment = getEnvironment();
+    const definition = serviceRegistry[serviceName] || normalizeServiceDefinition(serviceName);
     
     // Check for composer.json
-    if (fs.existsSync(path.join(repoPath, 'composer.json'))) {
+    if (definition.packageManager === 'composer' && fs.existsSync(path.join(repoPath, 'composer.json'))) {
       const command = useUpdate ? 'update' : 'install';
       log(`Running composer ${command}...`);
       
       if (environment === 'production') {
-        // Production-specific composer commands with sudo and specific PHP versions
-        const defaultComposerServices = ['users', 'images'];
-        const php82Services = ['emails', 'frontend', 'integrations', 'sms', 'templates'];
-        const php81Services = ['ads', 'social'];
-        
-        if (defaultComposerServices.includes(serviceName)) {
-          execCommand(`sudo -u www-data composer ${command} --no-interaction`, { cwd: repoPath });
-        } else if (php82Services.includes(serviceName)) {
-          execCommand(`sudo -u www-data /usr/bin/php8.2 /usr/local/bin/composer26 ${command} --no-interaction`, { cwd: repoPath });
-        } else if (php81Services.includes(serviceName)) {
-          execCommand(`sudo -u www-data /usr/bin/php8.1 /usr/local/bin/composer26 ${command} --no-interaction`, { cwd: repoPath });
-        } else {
-          execCommand(`sudo -u www-data composer ${command} --no-interaction`, { cwd: repoPath });
-        }
+        // Production uses the PHP and composer binaries from the service registry
+        const composer = definition.phpBinary
+          ? [definition.phpBinary, definition.composerBinary]
+          : [definition.composerBinary];
+        await execCommand([...asWebUser(), ...composer, command, '--no-interaction'], { cwd: repoPath, mutating: true });
       } else {
         // Development environment - run composer directly
-        execCommand(`composer ${command} --no-interaction`, { cwd: repoPath });
+        await execCommand(['composer', command, '--no-interaction'], { cwd: repoPath, mutating: true });
       }
     }
     
-    // Check for package.json (mainly for intelligence service)
-    if (fs.existsSync(path.join(repoPath, 'package.json')) && serviceName === 'intelligence') {
+    // Check for package.json
+    if (definition.packageManager === 'npm' && fs.existsSync(path.join(repoPath, 'package.json'))) {
       log('Running npm install...');
-      if (environment === 'production') {
-        execCommand('sudo -u www-data npm install', { cwd: repoPath });
-      } else {
-        execCommand('npm install', { cwd: repoPath });
-      }
+      await execCommand([...asWebUser(), 'npm', 'install'], { cwd: repoPath, mutating: true });
     }
   } catch (error) {
     log(`Warning: Failed to update dependencies: ${error.message}`, 'yellow');
@@ -385,12 +855,13 @@ function updateDependencies(serviceName, repoPath, useUpdate = false) {
 async function listCurrentBranches() {
   log('\n=== Current Branches for All Services ===\n', 'cyan', true);
   
-  const results = [];
-  for (const [name, path] of Object.entries(services)) {
-    const result = getCurrentBranch(name, path);
-    results.push(result);
+  const servicesToList = getServicesToProcess();
+  if (!servicesToList) {
+    return;
   }
   
+  const results = await forEachService(servicesToList, getCurrentBranch);
+  
   // Display results in a table format
   const maxServiceLength = Math.max(...results.map(r => r.service.length));
   const maxBranchLength = Math.max(...results.map(r => r.branch.length));
@@ -406,23 +877,23 @@ async function listCurrentBranches() {
     }
   });
   
+  if (results.some(r => r.error)) {
+    process.exitCode = 1;
+  }
+  
   return results;
 }
 
 async function listAvailableBranches(serviceName = null) {
   log('\n=== Available Branches ===\n', 'cyan', true);
   
-  const servicesToCheck = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
-  
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
+  const servicesToCheck = getServicesToProcess(serviceName);
+  if (!servicesToCheck) {
     return;
   }
   
-  for (const [name, path] of Object.entries(servicesToCheck)) {
-    const result = getAllBranches(name, path);
+  const results = await forEachService(servicesToCheck, async (name, path) => {
+    const result = await getAllBranches(name, path);
     
     log(`\n${colors.yellow}${name}:${colors.reset}`, 'reset', true);
     
@@ -435,17 +906,31 @@ async function listAvailableBranches(serviceName = null) {
         log(`  - ${branch}`, 'reset', true);
       });
     }
+    return result;
+  });
+  
+  if (results.some(r => r.error)) {
+    process.exitCode = 1;
   }
+  
+  return results;
+}
+
+// Commits ref has that otherRef lacks (ahead) and the reverse (behind)
+async function aheadBehind(repoPath, ref, otherRef) {
+  const revList = await gitCommand(repoPath, ['rev-list', '--left-right', '--count', `${ref}...${otherRef}`]);
+  const [ahead, behind] = revList.split('\t').map(n => parseInt(n));
+  return { ahead: ahead || 0, behind: behind || 0 };
 }
 
-function getRepositoryStatus(serviceName, repoPath) {
+async function getRepositoryStatus(serviceName, repoPath) {
   try {
     if (!fs.existsSync(repoPath)) {
       return { service: serviceName, error: 'Directory not found' };
     }
     
     // Get current branch
-    const currentBranch = gitCommand(repoPath, 'rev-parse --abbrev-ref HEAD');
+    const currentBranch = await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
     
     // Check for uncommitted changes
     let uncommittedFiles = 0;
@@ -454,14 +939,14 @@ function getRepositoryStatus(serviceName, repoPath) {
     
     try {
       // Check for unstaged changes
-      gitCommand(repoPath, 'diff-index --quiet HEAD --');
+      await gitCommand(repoPath, ['diff-index', '--quiet', 'HEAD', '--']);
     } catch {
       hasUnstagedChanges = true;
     }
     
     try {
       // Check for staged changes
-      const stagedOutput = gitCommand(repoPath, 'diff --cached --numstat');
+      const stagedOutput = await gitCommand(repoPath, ['diff', '--cached', '--numstat']);
       if (stagedOutput) {
         hasStagedChanges = true;
       }
@@ -469,7 +954,7 @@ function getRepositoryStatus(serviceName, repoPath) {
     
     try {
       // Count modified files
-      const modifiedFiles = gitCommand(repoPath, 'status --porcelain');
+      const modifiedFiles = await gitCommand(repoPath, ['status', '--porcelain']);
       if (modifiedFiles) {
         uncommittedFiles = modifiedFiles.split('\n').filter(line => line.trim()).length;
       }
@@ -481,13 +966,10 @@ function getRepositoryStatus(serviceName, repoPath) {
     
     try {
       // Fetch to ensure we have latest remote info (but don't pull)
-      gitCommand(repoPath, 'fetch --quiet');
+      await gitCommand(repoPath, ['fetch', '--quiet']);
       
       // Get ahead/behind counts
-      const revList = gitCommand(repoPath, `rev-list --left-right --count ${currentBranch}...origin/${currentBranch}`);
-      const [ahead, behind] = revList.split('\t').map(n => parseInt(n));
-      commitsAhead = ahead || 0;
-      commitsBehind = behind || 0;
+      ({ ahead: commitsAhead, behind: commitsBehind } = await aheadBehind(repoPath, currentBranch, `origin/${currentBranch}`));
     } catch {
       // Branch might not have upstream
     }
@@ -510,22 +992,13 @@ function getRepositoryStatus(serviceName, repoPath) {
 async function showRepositoryStatus(serviceName = null) {
   log('\n=== Repository Status Overview ===\n', 'cyan', true);
   
-  const servicesToCheck = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
-    
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
+  const servicesToCheck = getServicesToProcess(serviceName);
+  if (!servicesToCheck) {
     return;
   }
   
-  const results = [];
-  
   // Collect all statuses
-  for (const [name, path] of Object.entries(servicesToCheck)) {
-    const status = getRepositoryStatus(name, path);
-    results.push(status);
-  }
+  const results = await forEachService(servicesToCheck, getRepositoryStatus);
   
   // Find max lengths for formatting
   const maxServiceLength = Math.max(...results.map(r => r.service.length));
@@ -578,31 +1051,188 @@ async function showRepositoryStatus(serviceName = null) {
   
   log('', 'reset', true);
   log(`Summary: ${colors.green}${clean} clean${colors.reset}, ${colors.yellow}${withIssues} need attention${colors.reset}${withErrors > 0 ? `, ${colors.red}${withErrors} errors${colors.reset}` : ''}`, 'reset', true);
-}
-
-async function showUncommittedChanges(serviceName = null) {
-  log('\n=== Uncommitted Changes ===\n', 'cyan', true);
   
-  const servicesToCheck = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
-    
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
-    return;
+  if (withErrors > 0) {
+    process.exitCode = 1;
   }
   
-  let totalChangedFiles = 0;
+  return results;
+}
+
+// The ticket a branch belongs to ("REN-1234" for REN-1234, REN-1234-login or
+// names from the branchTemplate setting), or null
+function branchTicket(branch) {
+  return ticketFromBranch(branch, CONFIG.get('branchTemplate'));
+}
+
+// The branch new ticket branches start from in a service
+function serviceBaseBranch(serviceName) {
+  const definition = serviceRegistry[serviceName];
+  return (definition && definition.baseBranch) || CONFIG.get('baseBranch');
+}
+
+// The service branch a name stands for: the branch itself, or for a bare
+// ticket number the branch named after that ticket (REN-1234, REN-1234-login)
+function resolveTicketBranch(column, branches) {
+  if (!/^\d+$/.test(column)) {
+    return branches.includes(column) ? column : null;
+  }
+  const exact = branches.find(branch => branch.toUpperCase() === `REN-${column}`);
+  return exact || branches.find(branch => branchTicket(branch) === `REN-${column}`) || null;
+}
+
+// Where one branch of a service stands: local/remote, ahead/behind each
+// comparison branch, last commit, and whether the base already contains it
+async function getBranchState(repoPath, info, column, compareTo) {
+  const branch = resolveTicketBranch(column, info.branches);
+  const local = Boolean(branch) && info.local.includes(branch);
+  const remote = Boolean(branch) && info.remote.includes(branch);
+  const cell = { column, branch, local, remote };
+  if (!branch) {
+    return cell;
+  }
+  
+  const ref = local ? branch : `origin/${branch}`;
+  if (local && remote) {
+    cell.unpushed = (await aheadBehind(repoPath, branch, `origin/${branch}`)).ahead;
+  }
+  
+  cell.compare = {};
+  for (const target of compareTo) {
+    const targetRef = info.remote.includes(target) ? `origin/${target}` : info.local.includes(target) ? target : null;
+    cell.compare[target] = targetRef ? await aheadBehind(repoPath, ref, targetRef) : null;
+  }
+  
+  const [date, ...author] = (await gitCommand(repoPath, ['log', '-1', '--format=%cI|%an', ref])).split('|');
+  cell.lastCommit = { date, author: author.join('|') };
+  
+  const base = cell.compare[compareTo[0]];
+  cell.merged = base ? base.ahead === 0 : null;
+  
+  return cell;
+}
+
+async function showBranchMatrix(columns) {
+  const baseBranch = CONFIG.get('baseBranch');
+  const compareTo = [...new Set([baseBranch, 'master'])];
+  
+  log(`\n=== Branch Matrix (compared with ${compareTo.join(' and ')}) ===\n`, 'cyan', true);
+  
+  for (const column of columns.filter(column => !/^\d+$/.test(column))) {
+    try {
+      validateBranchName(column);
+    } catch (error) {
+      log(`Error: ${error.message}`, 'red', true);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  
+  const servicesToCheck = getServicesToProcess();
+  if (!servicesToCheck) {
+    return;
+  }
+  
+  progress('Fetching branches... ');
+  const results = await forEachService(servicesToCheck, async (name, path) => {
+    const info = await getAllBranches(name, path);
+    if (info.error) {
+      return { service: name, error: info.error, branches: [] };
+    }
+    try {
+      const branches = [];
+      for (const column of columns) {
+        branches.push(await getBranchState(path, info, column, compareTo));
+      }
+      return { service: name, error: null, branches };
+    } catch (error) {
+      return { service: name, error: error.message, branches: [] };
+    }
+  });
+  progress(`${colors.green}✓${colors.reset}\n\n`);
+  
+  const where = cell => cell.local && cell.remote ? 'local+remote' : cell.local ? 'local' : cell.remote ? 'remote' : '-';
+  const labels = columns.map(column => /^\d+$/.test(column) ? `REN-${column}` : column);
+  const serviceWidth = Math.max(...results.map(r => r.service.length), 7);
+  const columnWidth = Math.max(...labels.map(label => label.length), 'local+remote, merged'.length);
+  
+  // Overview: one row per service, one column per branch
+  log(`${'Service'.padEnd(serviceWidth)}  ${labels.map(label => label.padEnd(columnWidth)).join('  ')}`, 'reset', true);
+  results.forEach(result => {
+    if (result.error) {
+      log(`${result.service.padEnd(serviceWidth)}  ${colors.red}Error: ${result.error}${colors.reset}`, 'reset', true);
+      return;
+    }
+    const cells = result.branches.map(cell => {
+      const text = `${where(cell)}${cell.merged ? ', merged' : ''}`.padEnd(columnWidth);
+      const color = !cell.branch ? 'reset' : cell.merged ? 'blue' : 'green';
+      return `${colors[color]}${text}${colors.reset}`;
+    });
+    log(`${result.service.padEnd(serviceWidth)}  ${cells.join('  ')}`, 'reset', true);
+  });
+  
+  // Details per branch
+  columns.forEach((column, index) => {
+    log(`\n${colors.cyan}${labels[index]}${colors.reset}`, 'reset', true);
+    results.filter(result => !result.error).forEach(result => {
+      const cell = result.branches[index];
+      const service = result.service.padEnd(serviceWidth);
+      if (!cell.branch) {
+        log(`  ${service}  not found`, 'reset', true);
+        return;
+      }
+      
+      const parts = [where(cell) + (cell.unpushed ? ` (${cell.unpushed} unpushed)` : '')];
+      if (cell.branch !== labels[index]) {
+        parts.unshift(cell.branch);
+      }
+      compareTo.forEach(target => {
+        const counts = cell.compare[target];
+        parts.push(counts ? `${target} +${counts.ahead}/-${counts.behind}` : `no ${target}`);
+      });
+      parts.push(`last commit ${new Date(cell.lastCommit.date).toLocaleDateString()} by ${cell.lastCommit.author}`);
+      if (cell.merged) {
+        parts.push(`${colors.blue}merged into ${baseBranch}${colors.reset}`);
+      }
+      log(`  ${service}  ${parts.join(', ')}`, 'reset', true);
+    });
+  });
+  
+  // Summary
+  log('\n' + '='.repeat(50), 'reset', true);
+  columns.forEach((column, index) => {
+    const present = results.filter(result => !result.error && result.branches[index].branch);
+    const merged = present.filter(result => result.branches[index].merged).length;
+    log(`${labels[index]}: in ${present.length} of ${results.length} service(s)${merged > 0 ? `, ${merged} merged into ${baseBranch}` : ''}`, 'reset', true);
+  });
+  
+  if (results.some(r => r.error)) {
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+async function showUncommittedChanges(serviceName = null) {
+  log('\n=== Uncommitted Changes ===\n', 'cyan', true);
+  
+  const servicesToCheck = getServicesToProcess(serviceName);
+  if (!servicesToCheck) {
+    return;
+  }
+  
+  let totalChangedFiles = 0;
   let servicesWithChanges = 0;
   
-  for (const [name, path] of Object.entries(servicesToCheck)) {
+  const checked = await forEachService(servicesToCheck, async (name, path) => {
+    const result = { service: name, changes: [] };
     try {
       if (!fs.existsSync(path)) {
-        continue;
+        return null;
       }
       
       // Get git status
-      const statusOutput = gitCommand(path, 'status --porcelain');
+      const statusOutput = await gitCommand(path, ['status', '--porcelain']);
       
       if (statusOutput) {
         servicesWithChanges++;
@@ -638,13 +1268,14 @@ async function showUncommittedChanges(serviceName = null) {
             statusText = status;
           }
           
+          result.changes.push({ status: statusText, file: fileName });
           log(`  ${colors[statusColor]}${statusText.padEnd(10)}${colors.reset} ${fileName}`, 'reset', true);
         });
         
         // Show diff stats if verbose
         if (VERBOSE) {
           try {
-            const diffStat = gitCommand(path, 'diff --stat');
+            const diffStat = await gitCommand(path, ['diff', '--stat']);
             if (diffStat) {
               log('\n  Diff statistics:', 'reset', true);
               diffStat.split('\n').forEach(line => {
@@ -657,9 +1288,12 @@ async function showUncommittedChanges(serviceName = null) {
         }
       }
     } catch (error) {
+      result.error = error.message;
       log(`${name}: ${colors.red}Error - ${error.message}${colors.reset}`, 'reset', true);
     }
-  }
+    return result;
+  });
+  const results = checked.filter(Boolean);
   
   // Summary
   log('\n' + '='.repeat(50), 'reset', true);
@@ -676,36 +1310,107 @@ async function showUncommittedChanges(serviceName = null) {
     log('\nTo save changes across all services:', 'reset', true);
     log('  node repo-manager.js stash save "work in progress"', 'green', true);
   }
+  
+  if (results.some(r => r.error)) {
+    process.exitCode = 1;
+  }
+  
+  return results;
 }
 
-async function updateBranches(targetBranch, serviceName = null, useComposerUpdate = false, skipDeps = false) {
+async function updateBranches(targetBranch, serviceName = null, options = {}) {
+  const { useComposerUpdate = false, skipDeps = false, manifestFile = null, atomic = false } = options;
+  
   // Only require root on production servers
   const environment = getEnvironment();
   if (environment === 'production' && !checkRoot()) {
     log('Error: This script must be run as root (use sudo) on production servers', 'red', true);
-    process.exit(1);
+    process.exitCode = 1;
+    return;
   }
   
-  log(`\n=== Updating Services to Branch: ${targetBranch} ===\n`, 'cyan', true);
+  let manifest = null;
+  if (manifestFile) {
+    try {
+      manifest = loadBranchManifest(manifestFile);
+    } catch (error) {
+      log(`Error: ${error.message}`, 'red', true);
+      process.exitCode = 1;
+      return;
+    }
+  }
   
-  const servicesToUpdate = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
+  // With a manifest, the branch argument (or the manifest's default) is the fallback
+  const defaultBranch = targetBranch || (manifest && manifest.defaultBranch) || 'master';
   
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red');
+  try {
+    validateBranchName(defaultBranch);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
     return;
   }
   
-  const results = [];
+  if (manifest) {
+    log(`\n=== Updating Services from Manifest: ${manifest.file} ===\n`, 'cyan', true);
+    log(`Default branch: ${defaultBranch}`, 'reset', true);
+  } else {
+    log(`\n=== Updating Services to Branch: ${targetBranch} ===\n`, 'cyan', true);
+  }
   
-  for (const [name, path] of Object.entries(servicesToUpdate)) {
-    const result = updateServiceBranch(name, path, targetBranch, useComposerUpdate, skipDeps);
-    results.push(result);
+  const servicesToUpdate = getServicesToProcess(serviceName);
+  if (!servicesToUpdate) {
+    return;
+  }
+  
+  if (manifest) {
+    Object.keys(manifest.branches)
+      .filter(name => !serviceRegistry[name])
+      .forEach(name => log(`Warning: Manifest entry '${name}' is not a registered service`, 'yellow', true));
+    
+    Object.keys(servicesToUpdate).forEach(name => {
+      const source = manifest.branches[name] ? '' : ' (default)';
+      log(`  ${name} -> ${manifest.branches[name] || defaultBranch}${source}`, 'reset', true);
+    });
+    log('', 'reset', true);
+  }
+  
+  // --atomic: where every touched service started, for the rollback
+  const startStates = {};
+  let aborted = false;
+  
+  const results = await forEachService(servicesToUpdate, async (name, path) => {
+    const branch = manifest ? (manifest.branches[name] || defaultBranch) : targetBranch;
+    
+    // After a failure, don't touch services that have not started yet
+    if (aborted) {
+      log(`${colors.yellow}${name}${colors.reset}... skipped (an earlier service failed)`, 'reset', true);
+      return { service: name, success: false, branch, error: 'Skipped after an earlier failure', errorType: 'skipped' };
+    }
+    
+    if (atomic && fs.existsSync(path)) {
+      try {
+        startStates[name] = {
+          branch: await gitCommand(path, ['rev-parse', '--abbrev-ref', 'HEAD']),
+          sha: await gitCommand(path, ['rev-parse', 'HEAD'])
+        };
+      } catch {
+        // Not a usable repository; updateServiceBranch reports the error
+      }
+    }
+    
+    const result = await updateServiceBranch(name, path, branch, useComposerUpdate, skipDeps);
+    if (atomic && !result.success) {
+      aborted = true;
+    }
+    if (manifest) {
+      result.source = manifest.branches[name] ? 'manifest' : 'default';
+    }
     if (VERBOSE) {
       log('----------------------------------------');
     }
-  }
+    return result;
+  });
   
   // Summary
   log('\n=== Update Summary ===\n', 'cyan', true);
@@ -715,12 +1420,30 @@ async function updateBranches(targetBranch, serviceName = null, useComposerUpdat
   
   if (successful.length > 0) {
     log(`Successfully updated: ${successful.length} service(s)`, 'green', true);
-    successful.forEach(r => log(`  ✓ ${r.service} -> ${r.branch}`, 'green', true));
+    successful.forEach(r => log(`  ✓ ${r.service} -> ${r.branch}${r.source === 'default' ? ' (default)' : ''}`, 'green', true));
   }
   
   if (failed.length > 0) {
-    log(`\nFailed to update: ${failed.length} service(s)`, 'red', true);
-    failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red', true));
+    log(`\nFailed to update: ${failed.length} service(s)${failureBreakdown(failed)}`, 'red', true);
+    failed.forEach(r => log(`  ✗ ${r.service} (${r.branch}): ${r.error}`, 'red', true));
+    process.exitCode = 1;
+  }
+  
+  reportHookFailures(results);
+  
+  if (atomic && failed.length > 0) {
+    if (DRY_RUN) {
+      log(`\n--atomic: ${Object.keys(startStates).length} service(s) would be rolled back to where they started`, 'yellow', true);
+    } else {
+      const rollback = await rollbackUpdate(servicesToUpdate, startStates, results, skipDeps);
+      rollback.forEach(r => {
+        results.find(result => result.service === r.service).rollback = r.success ? r.status : `failed: ${r.error}`;
+      });
+    }
+  }
+  
+  if (DRY_RUN) {
+    return results;
   }
   
   // Save log
@@ -747,77 +1470,131 @@ async function updateBranches(targetBranch, serviceName = null, useComposerUpdat
   } catch (e) {
     log(`\nFailed to save log: ${e.message}`, 'yellow');
   }
+  
+  return results;
+}
+
+// --atomic: put every service an update touched back on its starting branch
+// and commit, re-apply its auto-stash and reinstall its dependencies
+async function rollbackUpdate(servicesToUpdate, startStates, results, skipDeps = false) {
+  log('\n=== Rolling Back Update ===\n', 'cyan', true);
+  
+  const touched = {};
+  Object.entries(servicesToUpdate)
+    .filter(([name]) => startStates[name])
+    .forEach(([name, servicePath]) => { touched[name] = servicePath; });
+  
+  const rollback = await forEachService(touched, async (name, repoPath) => {
+    const { stash = null } = results.find(r => r.service === name) || {};
+    const state = { ...startStates[name], stash };
+    const result = await restoreServiceState(name, repoPath, state, 'update rollback', { dropStash: true });
+    
+    if (!result.success) {
+      log(`${name}: ${colors.red}✗ ${result.error}${colors.reset}`, 'reset', true);
+      return result;
+    }
+    
+    const ref = state.branch === 'HEAD' ? state.sha.slice(0, 8) : state.branch;
+    const notes = result.notes && result.notes.length > 0 ? ` (${result.notes.join(', ')})` : '';
+    log(`${name}: ${colors.green}✓ ${result.status === 'unchanged' ? 'unchanged' : `back on ${ref}`}${colors.reset}${notes}`, 'reset', true);
+    
+    // Dependencies were installed for the target branch; match the restored code again
+    if (result.status === 'restored' && !skipDeps) {
+      await updateDependencies(name, repoPath);
+    }
+    return result;
+  });
+  
+  const failed = rollback.filter(r => !r.success);
+  log(`\nRolled back ${rollback.length - failed.length} of ${rollback.length} touched service(s)`, failed.length > 0 ? 'yellow' : 'green', true);
+  
+  if (failed.length > 0) {
+    log('Restore these by hand:', 'red', true);
+    failed.forEach(r => {
+      const state = startStates[r.service];
+      log(`  ✗ ${r.service}: ${state.branch} at ${state.sha.slice(0, 8)}`, 'red', true);
+    });
+  }
+  
+  return rollback;
 }
 
 async function syncRepositories(serviceName = null) {
   log(`\n=== Syncing Repositories ===\n`, 'cyan', true);
   
-  const servicesToSync = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
-    
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
+  const servicesToSync = getServicesToProcess(serviceName);
+  if (!servicesToSync) {
     return;
   }
   
-  const results = [];
-  
-  for (const [name, path] of Object.entries(servicesToSync)) {
+  const results = await forEachService(servicesToSync, async (name, path) => {
     if (!VERBOSE) {
-      process.stdout.write(`${colors.yellow}${name}${colors.reset}... `);
+      progress(`${colors.yellow}${name}${colors.reset}... `);
     } else {
       log(`\nSyncing ${name}...`, 'yellow');
     }
     
+    let result;
     try {
       if (!fs.existsSync(path)) {
-        results.push({ service: name, success: false, error: 'Directory not found' });
-        if (!VERBOSE) console.log(`${colors.red}✗${colors.reset}`);
-        continue;
+        if (!VERBOSE) progress(`${colors.red}✗${colors.reset}\n`);
+        return { service: name, success: false, error: 'Directory not found', errorType: 'not-found' };
       }
       
       // Get current branch
-      const currentBranch = gitCommand(path, 'rev-parse --abbrev-ref HEAD');
+      const currentBranch = await gitCommand(path, ['rev-parse', '--abbrev-ref', 'HEAD']);
       log(`Current branch: ${currentBranch}`);
       
       // Check for uncommitted changes
       try {
-        gitCommand(path, 'diff-index --quiet HEAD --');
+        await gitCommand(path, ['diff-index', '--quiet', 'HEAD', '--']);
       } catch {
-        results.push({ service: name, success: false, error: 'Has uncommitted changes' });
         if (!VERBOSE) {
-          console.log(`${colors.red}✗ (uncommitted changes)${colors.reset}`);
+          progress(`${colors.red}✗ (uncommitted changes)${colors.reset}\n`);
         } else {
           log('Error: Has uncommitted changes', 'red');
         }
-        continue;
+        return { service: name, success: false, error: 'Has uncommitted changes', errorType: 'dirty' };
+      }
+      
+      // Pull needs the branch on the remote; a dry run checks it up front
+      if (DRY_RUN) {
+        if (!(await remoteBranchExists(path, currentBranch))) {
+          log(`Error: Branch '${currentBranch}' does not exist in remote`, 'red');
+          return { service: name, success: false, error: `Branch '${currentBranch}' does not exist in remote`, errorType: 'not-found' };
+        }
+        log(`Branch '${currentBranch}' exists in remote`, 'green');
       }
       
       // Fetch and pull
       log('Fetching latest changes...');
-      gitCommand(path, 'fetch');
+      await gitCommand(path, ['fetch']);
       
       log('Pulling latest changes...');
-      const pullOutput = gitCommand(path, 'pull');
+      const pullOutput = await gitCommand(path, ['pull']);
       
       if (!VERBOSE) {
-        console.log(`${colors.green}✓${colors.reset}`);
+        progress(`${colors.green}✓${colors.reset}\n`);
       } else {
-        log(`Success: ${name} synced`, 'green');
+        log(`Success: ${name} ${DRY_RUN ? 'would be synced' : 'synced'}`, 'green');
         if (pullOutput.includes('Already up to date')) {
           log('Already up to date');
-        } else {
+        } else if (pullOutput) {
           log(pullOutput);
         }
       }
       
-      results.push({ service: name, success: true, branch: currentBranch });
+      result = { service: name, success: true, branch: currentBranch };
+      
+      const hooks = await runHooks('post-sync', name, path, { branch: currentBranch });
+      if (hooks.length > 0) {
+        result.hooks = hooks;
+      }
       
     } catch (error) {
-      results.push({ service: name, success: false, error: error.message });
+      result = { service: name, success: false, error: describeFailure(error), errorType: error.kind || classifyError(error) };
       if (!VERBOSE) {
-        console.log(`${colors.red}✗${colors.reset}`);
+        progress(`${colors.red}✗${colors.reset}\n`);
       } else {
         log(`Error: ${error.message}`, 'red');
       }
@@ -826,7 +1603,8 @@ async function syncRepositories(serviceName = null) {
     if (VERBOSE) {
       log('----------------------------------------');
     }
-  }
+    return result;
+  });
   
   // Summary
   log('\n=== Sync Summary ===\n', 'cyan', true);
@@ -840,9 +1618,14 @@ async function syncRepositories(serviceName = null) {
   }
   
   if (failed.length > 0) {
-    log(`\nFailed to sync: ${failed.length} service(s)`, 'red', true);
+    log(`\nFailed to sync: ${failed.length} service(s)${failureBreakdown(failed)}`, 'red', true);
     failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red', true));
+    process.exitCode = 1;
   }
+  
+  reportHookFailures(results);
+  
+  return results;
 }
 
 async function searchInRepositories(searchPattern, options = {}) {
@@ -850,31 +1633,22 @@ async function searchInRepositories(searchPattern, options = {}) {
   
   log(`\n=== Searching for: "${searchPattern}" ===\n`, 'cyan', true);
   
-  const servicesToSearch = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
-    
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
+  const servicesToSearch = getServicesToProcess(serviceName);
+  if (!servicesToSearch) {
     return;
   }
   
   let totalMatches = 0;
-  const results = [];
   
-  for (const [name, path] of Object.entries(servicesToSearch)) {
+  const searched = await forEachService(servicesToSearch, async (name, path) => {
     try {
       if (!fs.existsSync(path)) {
-        continue;
-      }
-      
-      // Build ripgrep command
-      let rgCommand = `rg "${searchPattern}" --count --color never`;
-      if (include) {
-        rgCommand += ` --glob "${include}"`;
+        return null;
       }
       
-      const output = execCommand(rgCommand, { cwd: path });
+      // Build ripgrep command; -e keeps a pattern starting with "-" from being read as a flag
+      const globOption = include ? ['--glob', include] : [];
+      const output = await execCommand(['rg', '--count', '--color', 'never', ...globOption, '-e', searchPattern], { cwd: path });
       
       if (output) {
         const matches = output.split('\n').filter(line => line.trim());
@@ -885,19 +1659,13 @@ async function searchInRepositories(searchPattern, options = {}) {
         
         if (serviceMatches > 0) {
           totalMatches += serviceMatches;
-          results.push({
-            service: name,
-            matches: serviceMatches,
-            files: matches.length
-          });
           
           // Show details
           log(`\n${colors.yellow}${name}:${colors.reset} ${serviceMatches} matches in ${matches.length} files`, 'reset', true);
           
           if (VERBOSE) {
             // Show actual matches with context
-            const detailCommand = `rg "${searchPattern}" -n --color never -m 3`;
-            const details = execCommand(detailCommand + (include ? ` --glob "${include}"` : ''), { cwd: path });
+            const details = await execCommand(['rg', '-n', '--color', 'never', '-m', '3', ...globOption, '-e', searchPattern], { cwd: path });
             const lines = details.split('\n').slice(0, 10); // Show first 10 matches
             lines.forEach(line => {
               if (line.trim()) {
@@ -908,12 +1676,20 @@ async function searchInRepositories(searchPattern, options = {}) {
               log(`  ... and ${details.split('\n').length - 10} more matches`, 'reset', true);
             }
           }
+          
+          return {
+            service: name,
+            matches: serviceMatches,
+            files: matches.length
+          };
         }
       }
     } catch (error) {
       // No matches found or rg not available
     }
-  }
+    return null;
+  });
+  const results = searched.filter(Boolean);
   
   // Summary
   log('\n' + '='.repeat(50), 'reset', true);
@@ -926,37 +1702,145 @@ async function searchInRepositories(searchPattern, options = {}) {
   } else {
     log(`No matches found for "${searchPattern}"`, 'yellow', true);
   }
+  
+  return results;
 }
 
-async function showRecentActivity(options = {}) {
-  const { service: serviceName, days = 7, count = 5 } = options;
+// exec/foreach: run a command in every selected service directory. A single
+// argument is a shell command line (pipes, globs, &&); several arguments are
+// run as they are. Services run one at a time unless parallel is set.
+async function execInServices(commandArgs, options = {}) {
+  const { service: serviceName, parallel = false, stopOnError = false, grouped = false } = options;
+  
+  if (commandArgs.length === 0) {
+    log('Error: Please specify a command after --', 'red', true);
+    log('Usage: repo-manager.js exec [service] [--parallel] [--stop-on-error] [--grouped] -- <command>', 'reset', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const display = commandArgs.length === 1 ? commandArgs[0] : formatCommand(commandArgs);
+  log(`\n=== Running: ${display} ===\n`, 'cyan', true);
   
-  log(`\n=== Recent Activity (Last ${days} days) ===\n`, 'cyan', true);
+  // --parallel runs up to JOBS services at once (4 unless --jobs or the jobs setting says otherwise)
+  if (parallel && JOBS === 1 && CONFIG.source('jobs') !== 'flag') {
+    log(`Warning: --parallel with jobs set to 1 (${CONFIG.source('jobs')}) runs one service at a time; pass --jobs=N`, 'yellow', true);
+  }
+  
+  const servicesToRun = getServicesToProcess(serviceName);
+  if (!servicesToRun) {
+    return;
+  }
   
-  const servicesToCheck = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
+  // stderr goes to stdout so the two stay interleaved as the command wrote them
+  const shellArgs = commandArgs.length === 1
+    ? ['sh', '-c', `exec 2>&1\n${commandArgs[0]}`]
+    : ['sh', '-c', 'exec 2>&1\nexec "$@"', 'sh', ...commandArgs];
+  const width = Math.max(...Object.keys(servicesToRun).map(name => name.length));
+  let aborted = false;
+  
+  const results = await forEachService(servicesToRun, async (name, repoPath) => {
+    if (aborted) {
+      log(`${colors.yellow}${name}${colors.reset}: skipped (an earlier service failed)`, 'reset', true);
+      return { service: name, success: false, exitCode: null, error: 'Skipped after an earlier failure', errorType: 'skipped' };
+    }
+    if (!fs.existsSync(repoPath)) {
+      log(`${colors.yellow}${name}${colors.reset}: ${colors.red}✗ Directory not found${colors.reset}`, 'reset', true);
+      return { service: name, success: false, exitCode: null, error: 'Directory not found', errorType: 'not-found' };
+    }
+    
+    // The command could do anything, so a dry run only says where it would run
+    if (DRY_RUN) {
+      log(`${colors.yellow}${name.padEnd(width)}${colors.reset} | ${colors.magenta}[dry-run]${colors.reset} ${display}`, 'reset', true);
+      return { service: name, success: true, exitCode: null, dryRun: true };
+    }
+    
+    const started = Date.now();
+    let result;
+    try {
+      const output = await execCommand([...asWebUser(), 'env', `REN360_SERVICE=${name}`, ...shellArgs], { cwd: repoPath });
+      result = { service: name, success: true, exitCode: 0, output };
+    } catch (error) {
+      // A non-zero exit is the command's own answer; anything else (timeout,
+      // missing sudo) is classified like other failures
+      const exited = error.exitCode !== null && error.exitCode !== undefined;
+      result = {
+        service: name,
+        success: false,
+        exitCode: exited ? error.exitCode : null,
+        output: error.stdout || '',
+        error: exited ? `exit code ${error.exitCode}` : describeFailure(error),
+        errorType: exited ? 'exit-code' : classifyError(error)
+      };
+      if (stopOnError) {
+        aborted = true;
+      }
+    }
+    result.duration = Date.now() - started;
     
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
+    const lines = result.output ? result.output.split('\n') : [];
+    if (grouped) {
+      const status = result.success ? `${colors.green}✓` : `${colors.red}✗ ${result.error}`;
+      log(`${colors.yellow}── ${name}${colors.reset} ${status}${colors.reset}`, 'reset', true);
+      lines.forEach(line => log(line, 'reset', true));
+      log('', 'reset', true);
+    } else {
+      const prefix = `${colors.yellow}${name.padEnd(width)}${colors.reset} |`;
+      lines.forEach(line => log(`${prefix} ${line}`, 'reset', true));
+      if (!result.success) {
+        log(`${prefix} ${colors.red}✗ ${result.error}${colors.reset}`, 'reset', true);
+      }
+    }
+    return result;
+  }, parallel ? JOBS : 1);
+  
+  // Summary
+  log('\n=== Exec Summary ===\n', 'cyan', true);
+  results.forEach(r => {
+    const status = r.dryRun
+      ? `${colors.magenta}would run${colors.reset}`
+      : r.success
+        ? `${colors.green}✓ exit 0${colors.reset}`
+        : `${colors.red}✗ ${r.error}${colors.reset}`;
+    const duration = r.duration !== undefined ? ` (${(r.duration / 1000).toFixed(1)}s)` : '';
+    log(`  ${r.service.padEnd(width)}  ${status}${duration}`, 'reset', true);
+  });
+  
+  const failed = results.filter(r => !r.success);
+  if (failed.length > 0) {
+    log(`\nFailed in ${failed.length} of ${results.length} service(s)${failureBreakdown(failed)}`, 'red', true);
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+async function showRecentActivity(options = {}) {
+  const { service: serviceName, days = 7, count = 5, since: sinceDate = null } = options;
+  
+  log(`\n=== Recent Activity (${sinceDate ? `Since ${sinceDate.toLocaleString()}` : `Last ${days} days`}) ===\n`, 'cyan', true);
+  
+  const servicesToCheck = getServicesToProcess(serviceName);
+  if (!servicesToCheck) {
     return;
   }
   
   const since = new Date();
   since.setDate(since.getDate() - days);
-  const sinceStr = since.toISOString().split('T')[0];
+  const sinceStr = sinceDate ? sinceDate.toISOString() : since.toISOString().split('T')[0];
   
   let totalCommits = 0;
   
-  for (const [name, path] of Object.entries(servicesToCheck)) {
+  const checked = await forEachService(servicesToCheck, async (name, path) => {
+    const result = { service: name, commits: [], total: 0 };
     try {
       if (!fs.existsSync(path)) {
-        continue;
+        return null;
       }
       
       // Get recent commits
-      const logCommand = `git log --since="${sinceStr}" --pretty=format:"%h|%an|%cr|%s" -n ${count}`;
-      const commits = gitCommand(path, logCommand);
+      const logCommand = ['log', `--since=${sinceStr}`, '--pretty=format:%h|%an|%cr|%cI|%s', '-n', String(count)];
+      const commits = await gitCommand(path, logCommand);
       
       if (commits) {
         const commitLines = commits.split('\n').filter(line => line.trim());
@@ -966,29 +1850,35 @@ async function showRecentActivity(options = {}) {
           log(`\n${colors.yellow}${name}:${colors.reset}`, 'reset', true);
           
           commitLines.forEach(line => {
-            const [hash, author, when, message] = line.split('|');
+            const [hash, author, when, date, ...subject] = line.split('|');
+            const message = subject.join('|');
+            result.commits.push({ hash, author, date, message });
             log(`  ${colors.blue}${hash}${colors.reset} - ${message} ${colors.green}(${when})${colors.reset} by ${author}`, 'reset', true);
           });
           
           // Check if there are more commits
-          const totalCount = gitCommand(path, `git rev-list --count --since="${sinceStr}" HEAD`);
-          if (parseInt(totalCount) > count) {
-            log(`  ... and ${parseInt(totalCount) - count} more commits`, 'reset', true);
+          result.total = parseInt(await gitCommand(path, ['rev-list', '--count', `--since=${sinceStr}`, 'HEAD']));
+          if (result.total > count) {
+            log(`  ... and ${result.total - count} more commits`, 'reset', true);
           }
         }
       }
     } catch (error) {
       // No commits or error
     }
-  }
+    return result;
+  });
+  const results = checked.filter(Boolean);
   
   // Summary
   log('\n' + '='.repeat(50), 'reset', true);
   if (totalCommits > 0) {
     log(`Total: ${colors.green}${totalCommits} recent commits${colors.reset} shown`, 'reset', true);
   } else {
-    log(`No commits found in the last ${days} days`, 'yellow', true);
+    log(`No commits found ${sinceDate ? `since ${sinceDate.toLocaleString()}` : `in the last ${days} days`}`, 'yellow', true);
   }
+  
+  return results;
 }
 
 async function manageStash(action, message = '') {
@@ -999,12 +1889,16 @@ async function manageStash(action, message = '') {
   
   log(`\n=== Stash ${action.charAt(0).toUpperCase() + action.slice(1)} ===\n`, 'cyan', true);
   
-  const results = [];
+  const servicesToProcess = getServicesToProcess();
+  if (!servicesToProcess) {
+    return;
+  }
   
-  for (const [name, path] of Object.entries(services)) {
+  const processed = await forEachService(servicesToProcess, async (name, path) => {
+    let entry;
     try {
       if (!fs.existsSync(path)) {
-        continue;
+        return null;
       }
       
       let result = '';
@@ -1013,44 +1907,48 @@ async function manageStash(action, message = '') {
         case 'save':
           // Check if there are changes to stash
           try {
-            gitCommand(path, 'diff-index --quiet HEAD --');
-            results.push({ service: name, action, status: 'no changes' });
+            await gitCommand(path, ['diff-index', '--quiet', 'HEAD', '--']);
+            entry = { service: name, action, status: 'no changes' };
           } catch {
             // Has changes, stash them
             const stashMessage = message || `repo-manager stash ${new Date().toISOString()}`;
-            result = gitCommand(path, `stash push -m "${stashMessage}"`);
-            results.push({ service: name, action, status: 'saved', message: stashMessage });
+            result = await gitCommand(path, ['stash', 'push', '-m', stashMessage]);
+            entry = { service: name, action, status: 'saved', message: stashMessage };
           }
           break;
           
         case 'pop':
+          if (DRY_RUN && !(await gitCommand(path, ['stash', 'list']))) {
+            entry = { service: name, action, status: 'no stash' };
+            break;
+          }
           try {
-            result = gitCommand(path, 'stash pop');
-            results.push({ service: name, action, status: 'popped' });
+            result = await gitCommand(path, ['stash', 'pop']);
+            entry = { service: name, action, status: 'popped' };
           } catch (error) {
             if (error.message.includes('No stash entries')) {
-              results.push({ service: name, action, status: 'no stash' });
+              entry = { service: name, action, status: 'no stash' };
             } else {
-              results.push({ service: name, action, status: 'error', error: error.message });
+              entry = { service: name, action, status: 'error', error: error.message };
             }
           }
           break;
           
         case 'list':
           try {
-            result = gitCommand(path, 'stash list');
+            result = await gitCommand(path, ['stash', 'list']);
             const stashCount = result ? result.split('\n').filter(l => l.trim()).length : 0;
-            results.push({ service: name, action, status: 'list', count: stashCount, list: result });
+            entry = { service: name, action, status: 'list', count: stashCount, stashes: result ? result.split('\n').filter(l => l.trim()) : [] };
           } catch {
-            results.push({ service: name, action, status: 'list', count: 0 });
+            entry = { service: name, action, status: 'list', count: 0 };
           }
           break;
       }
       
       // Display result
       if (action === 'list') {
-        if (results[results.length - 1].count > 0) {
-          log(`\n${colors.yellow}${name}:${colors.reset} ${results[results.length - 1].count} stashes`, 'reset', true);
+        if (entry.count > 0) {
+          log(`\n${colors.yellow}${name}:${colors.reset} ${entry.count} stashes`, 'reset', true);
           if (VERBOSE && result) {
             result.split('\n').forEach(line => {
               if (line.trim()) {
@@ -1060,18 +1958,19 @@ async function manageStash(action, message = '') {
           }
         }
       } else {
-        const lastResult = results[results.length - 1];
-        const statusColor = lastResult.status === 'error' ? 'red' : 
-                          lastResult.status === 'no changes' || lastResult.status === 'no stash' ? 'yellow' : 
+        const statusColor = entry.status === 'error' ? 'red' : 
+                          entry.status === 'no changes' || entry.status === 'no stash' ? 'yellow' : 
                           'green';
-        log(`${name}: ${colors[statusColor]}${lastResult.status}${colors.reset}`, 'reset', true);
+        log(`${name}: ${colors[statusColor]}${entry.status}${colors.reset}`, 'reset', true);
       }
       
     } catch (error) {
-      results.push({ service: name, action, status: 'error', error: error.message });
+      entry = { service: name, action, status: 'error', error: error.message };
       log(`${name}: ${colors.red}error - ${error.message}${colors.reset}`, 'reset', true);
     }
-  }
+    return entry;
+  });
+  const results = processed.filter(Boolean);
   
   // Summary
   log('\n' + '='.repeat(50), 'reset', true);
@@ -1092,22 +1991,31 @@ async function manageStash(action, message = '') {
       log('Use --verbose to see stash details', 'reset', true);
     }
   }
+  
+  if (results.some(r => r.status === 'error')) {
+    process.exitCode = 1;
+  }
+  
+  return results;
 }
 
 async function dropUncommittedChanges(serviceName = null, force = false) {
   log(`\n=== Drop Uncommitted Changes ===\n`, 'cyan', true);
   
-  const servicesToProcess = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
-    
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
+  const servicesToProcess = getServicesToProcess(serviceName);
+  if (!servicesToProcess) {
+    return;
+  }
+  
+  // JSON output leaves no room for a prompt
+  if (!force && !DRY_RUN && OUTPUT_FORMAT !== 'text') {
+    log('Error: drop needs --force when output is JSON', 'red', true);
+    process.exitCode = 1;
     return;
   }
   
-  // Check if we need confirmation
-  if (!force) {
+  // Check if we need confirmation (a dry run deletes nothing)
+  if (!force && !DRY_RUN) {
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
@@ -1135,74 +2043,79 @@ async function dropUncommittedChanges(serviceName = null, force = false) {
     }
   }
   
-  const results = [];
-  
-  for (const [name, path] of Object.entries(servicesToProcess)) {
+  const results = await forEachService(servicesToProcess, async (name, path) => {
+    let result;
     if (!VERBOSE) {
-      process.stdout.write(`${colors.yellow}${name}${colors.reset}... `);
+      progress(`${colors.yellow}${name}${colors.reset}... `);
     } else {
       log(`\nDropping changes in ${name}...`, 'yellow');
     }
     
     try {
       if (!fs.existsSync(path)) {
-        results.push({ service: name, success: false, error: 'Directory not found' });
-        if (!VERBOSE) console.log(`${colors.red}✗${colors.reset}`);
-        continue;
+        result = { service: name, success: false, error: 'Directory not found' };
+        if (!VERBOSE) progress(`${colors.red}✗${colors.reset}\n`);
+        return result;
       }
       
       // Check if there are changes
       let hasChanges = false;
       try {
-        gitCommand(path, 'diff-index --quiet HEAD --');
+        await gitCommand(path, ['diff-index', '--quiet', 'HEAD', '--']);
       } catch {
         hasChanges = true;
       }
       
       // Check for untracked files
-      const untrackedFiles = gitCommand(path, 'ls-files --others --exclude-standard');
+      const untrackedFiles = await gitCommand(path, ['ls-files', '--others', '--exclude-standard']);
       if (untrackedFiles) {
         hasChanges = true;
       }
       
       if (!hasChanges) {
-        results.push({ service: name, success: true, status: 'no changes' });
+        result = { service: name, success: true, status: 'no changes' };
         if (!VERBOSE) {
-          console.log(`${colors.green}✓ (no changes)${colors.reset}`);
+          progress(`${colors.green}✓ (no changes)${colors.reset}\n`);
         } else {
           log('No changes to drop', 'green');
         }
-        continue;
+        return result;
+      }
+      
+      if (DRY_RUN) {
+        const changes = await gitCommand(path, ['status', '--porcelain']);
+        log('Would discard:', 'yellow');
+        changes.split('\n').filter(Boolean).forEach(line => log(`  ${line}`));
       }
       
       // Reset all tracked files to HEAD
       log('Resetting tracked files...');
-      gitCommand(path, 'reset --hard HEAD');
+      await gitCommand(path, ['reset', '--hard', 'HEAD']);
       
       // Remove all untracked files and directories
       log('Removing untracked files and directories...');
-      gitCommand(path, 'clean -fd');
+      await gitCommand(path, ['clean', '-fd']);
       
       // Get the current branch for logging
-      const currentBranch = gitCommand(path, 'rev-parse --abbrev-ref HEAD');
+      const currentBranch = await gitCommand(path, ['rev-parse', '--abbrev-ref', 'HEAD']);
       
-      results.push({ 
+      result = { 
         service: name, 
         success: true, 
         status: 'changes dropped',
         branch: currentBranch
-      });
+      };
       
       if (!VERBOSE) {
-        console.log(`${colors.green}✓${colors.reset}`);
+        progress(`${colors.green}✓${colors.reset}\n`);
       } else {
         log(`Success: All changes dropped in ${name} (${currentBranch})`, 'green');
       }
       
     } catch (error) {
-      results.push({ service: name, success: false, error: error.message });
+      result = { service: name, success: false, error: error.message };
       if (!VERBOSE) {
-        console.log(`${colors.red}✗${colors.reset}`);
+        progress(`${colors.red}✗${colors.reset}\n`);
       } else {
         log(`Error: ${error.message}`, 'red');
       }
@@ -1211,7 +2124,8 @@ async function dropUncommittedChanges(serviceName = null, force = false) {
     if (VERBOSE) {
       log('----------------------------------------');
     }
-  }
+    return result;
+  });
   
   // Summary
   log('\n' + '='.repeat(50), 'reset', true);
@@ -1234,96 +2148,359 @@ async function dropUncommittedChanges(serviceName = null, force = false) {
   if (failed.length > 0) {
     log(`\n${colors.red}Failed to process ${failed.length} service(s)${colors.reset}`, 'reset', true);
     failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red', true));
+    process.exitCode = 1;
   }
+  
+  return results;
 }
 
-async function createPullRequest(options = {}) {
-  const { title, body, draft = false, service: serviceName } = options;
+// Whether a branch matches one of the protectedBranches patterns (* matches anything)
+function isProtectedBranch(branch, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(branch);
+  });
+}
+
+// Local (and with remote, origin) branches of a service that are merged into
+// one of mergeTargets or have had no commits for days
+async function findPrunableBranches(repoPath, options) {
+  const { days, remote, mergeTargets, protectedPatterns } = options;
+  
+  await gitCommand(repoPath, ['fetch', '--prune', '--quiet']);
+  
+  const current = await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  const namespaces = remote ? ['refs/heads', 'refs/remotes/origin'] : ['refs/heads'];
+  const refs = (await gitCommand(repoPath, ['for-each-ref', '--format=%(refname)|%(objectname)|%(committerdate:iso-strict)|%(authorname)', ...namespaces]))
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [ref, sha, date, ...author] = line.split('|');
+      const where = ref.startsWith('refs/heads/') ? 'local' : 'remote';
+      const branch = ref.replace(/^refs\/(heads|remotes\/origin)\//, '');
+      return { ref, branch, where, sha, date, author: author.join('|') };
+    })
+    .filter(entry => entry.branch !== 'HEAD');
+  
+  // Refs each target already contains, one for-each-ref call per target
+  const merged = {};
+  for (const target of mergeTargets) {
+    const targetRef = refs.some(entry => entry.where === 'remote' && entry.branch === target) ? `origin/${target}` : target;
+    try {
+      merged[target] = (await gitCommand(repoPath, ['for-each-ref', `--merged=${targetRef}`, '--format=%(refname)', ...namespaces])).split('\n');
+    } catch {
+      // The service has no such branch
+      merged[target] = [];
+    }
+  }
   
-  if (!title) {
-    log('Error: PR title is required', 'red', true);
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const candidates = [];
+  
+  refs.forEach(entry => {
+    if (isProtectedBranch(entry.branch, protectedPatterns) || (entry.where === 'local' && entry.branch === current)) {
+      return;
+    }
+    const mergedInto = mergeTargets.find(target => merged[target].includes(entry.ref));
+    if (mergedInto) {
+      candidates.push({ ...entry, reason: `merged into ${mergedInto}` });
+    } else if (new Date(entry.date).getTime() < cutoff) {
+      candidates.push({ ...entry, reason: `no commits in ${days} days` });
+    }
+  });
+  
+  return candidates;
+}
+
+async function pruneBranches(serviceName = null, options = {}) {
+  const { days = 90, remote = false, force = false } = options;
+  
+  log(`\n=== Prune Branches${remote ? ' (local and remote)' : ''} ===\n`, 'cyan', true);
+  
+  const servicesToProcess = getServicesToProcess(serviceName);
+  if (!servicesToProcess) {
     return;
   }
   
-  log(`\n=== Creating Pull Request ===\n`, 'cyan', true);
-  
-  const servicesToProcess = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
-    
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red', true);
+  // JSON output leaves no room for a prompt
+  if (!force && !DRY_RUN && OUTPUT_FORMAT !== 'text') {
+    log('Error: prune-branches needs --force when output is JSON', 'red', true);
+    process.exitCode = 1;
     return;
   }
   
-  const results = [];
+  const baseBranch = CONFIG.get('baseBranch');
+  const mergeTargets = [...new Set([baseBranch, 'master'])];
+  // The branches merges are checked against are never candidates themselves
+  const protectedPatterns = [...new Set([...CONFIG.get('protectedBranches'), ...mergeTargets])];
   
-  for (const [name, path] of Object.entries(servicesToProcess)) {
+  progress('Looking for merged and stale branches... ');
+  const results = await forEachService(servicesToProcess, async (name, path) => {
+    if (!fs.existsSync(path)) {
+      return { service: name, success: false, error: 'Directory not found', candidates: [], deleted: [] };
+    }
+    try {
+      const candidates = await findPrunableBranches(path, { days, remote, mergeTargets, protectedPatterns });
+      return { service: name, success: true, candidates, deleted: [] };
+    } catch (error) {
+      return { service: name, success: false, error: describeFailure(error), candidates: [], deleted: [] };
+    }
+  });
+  progress(`${colors.green}✓${colors.reset}\n\n`);
+  
+  results.filter(r => !r.success).forEach(r => log(`${r.service}: ${colors.red}${r.error}${colors.reset}`, 'reset', true));
+  
+  const candidates = results.flatMap(r => r.candidates.map(candidate => ({ service: r.service, ...candidate })));
+  if (candidates.length === 0) {
+    log(`No branches merged into ${mergeTargets.join('/')} or older than ${days} days`, 'green', true);
+    if (results.some(r => !r.success)) {
+      process.exitCode = 1;
+    }
+    return results;
+  }
+  
+  const serviceWidth = Math.max(...candidates.map(c => c.service.length), 7);
+  const branchWidth = Math.max(...candidates.map(c => c.branch.length), 6);
+  log(`${'Service'.padEnd(serviceWidth)}  ${'Branch'.padEnd(branchWidth)}  Where   Last commit  Author           Reason`, 'reset', true);
+  candidates.forEach(c => {
+    const when = c.date.split('T')[0];
+    log(`${c.service.padEnd(serviceWidth)}  ${c.branch.padEnd(branchWidth)}  ${c.where.padEnd(6)}  ${when.padEnd(11)}  ${c.author.slice(0, 15).padEnd(15)}  ${c.reason}`, 'reset', true);
+  });
+  log(`\n${candidates.length} branch(es) in ${results.filter(r => r.candidates.length > 0).length} service(s)`, 'reset', true);
+  
+  if (!force && !DRY_RUN) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    
+    const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+    
+    try {
+      const confirm = await question(`\nDelete these ${candidates.length} branch(es)? (yes/N): `);
+      rl.close();
+      
+      if (confirm.toLowerCase() !== 'yes') {
+        log('\nOperation cancelled.', 'yellow', true);
+        return;
+      }
+    } catch (error) {
+      rl.close();
+      throw error;
+    }
+  }
+  
+  log('', 'reset', true);
+  await forEachService(servicesToProcess, async (name, path) => {
+    const result = results.find(r => r.service === name);
+    for (const candidate of result.candidates) {
+      const deletion = { branch: candidate.branch, where: candidate.where, sha: candidate.sha };
+      try {
+        if (candidate.where === 'local') {
+          await gitCommand(path, ['branch', '-D', candidate.branch]);
+        } else {
+          await gitCommand(path, ['push', 'origin', '--delete', candidate.branch]);
+        }
+        deletion.success = true;
+        log(`${name}: ${DRY_RUN ? 'would delete' : 'deleted'} ${candidate.where} ${candidate.branch} (${candidate.sha.slice(0, 8)})`, 'reset', true);
+      } catch (error) {
+        deletion.success = false;
+        deletion.error = describeFailure(error);
+        result.success = false;
+        result.error = `Could not delete ${candidate.where} ${candidate.branch}`;
+        log(`${name}: ${colors.red}could not delete ${candidate.where} ${candidate.branch}: ${deletion.error}${colors.reset}`, 'reset', true);
+      }
+      result.deleted.push(deletion);
+    }
+  });
+  
+  // Summary
+  log('\n' + '='.repeat(50), 'reset', true);
+  
+  const deleted = results.flatMap(r => r.deleted).filter(d => d.success);
+  const failed = results.flatMap(r => r.deleted).filter(d => !d.success);
+  log(`${colors.green}${DRY_RUN ? 'Would delete' : 'Deleted'} ${deleted.length} branch(es)${colors.reset}${failed.length > 0 ? `, ${colors.red}${failed.length} failed${colors.reset}` : ''}`, 'reset', true);
+  
+  if (ACTIVE_AUDIT && deleted.length > 0) {
+    log(`Recorded as history entry ${ACTIVE_AUDIT.entry.id}; undo with "prune-branches restore ${ACTIVE_AUDIT.entry.id}"`, 'reset', true);
+  }
+  
+  if (results.some(r => !r.success)) {
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+// Recreate branches deleted by a prune-branches run, at the commits they had
+async function restorePrunedBranches(id, branchNames = []) {
+  log(`\n=== Restore Pruned Branches ===\n`, 'cyan', true);
+  
+  let entry;
+  try {
+    entry = findAuditEntry(auditLogPath(), id);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  if (!entry || entry.command !== 'prune-branches' || entry.args[0] === 'restore' || !Array.isArray(entry.results)) {
+    log(`Error: '${id}' is not a prune-branches run in ${auditLogPath()} (see "history --command=prune-branches")`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const results = [];
+  for (const pruned of entry.results) {
+    const deletions = (pruned.deleted || [])
+      .filter(d => d.success && (branchNames.length === 0 || branchNames.includes(d.branch)));
+    if (deletions.length === 0) {
+      continue;
+    }
+    
+    const definition = serviceRegistry[pruned.service];
+    if (!definition) {
+      results.push({ service: pruned.service, success: false, error: 'No longer in the service registry', restored: [] });
+      continue;
+    }
+    
+    const path = resolveServicePath(REPO_ROOT, definition);
+    const result = { service: pruned.service, success: true, restored: [] };
+    for (const deletion of deletions) {
+      const restored = { branch: deletion.branch, where: deletion.where, sha: deletion.sha };
+      try {
+        try {
+          await gitCommand(path, ['cat-file', '-e', `${deletion.sha}^{commit}`]);
+        } catch {
+          throw new Error(`commit ${deletion.sha.slice(0, 8)} is no longer in the repository`);
+        }
+        if (deletion.where === 'local') {
+          let existing = null;
+          try {
+            existing = await gitCommand(path, ['rev-parse', '--verify', '--quiet', `refs/heads/${deletion.branch}`]);
+          } catch {
+            // Not there, as expected
+          }
+          if (existing && existing !== deletion.sha) {
+            throw new Error(`branch already exists at ${existing.slice(0, 8)}`);
+          }
+          if (!existing) {
+            await gitCommand(path, ['branch', deletion.branch, deletion.sha]);
+          }
+        } else {
+          await gitCommand(path, ['push', 'origin', `${deletion.sha}:refs/heads/${deletion.branch}`]);
+        }
+        restored.success = true;
+        log(`${pruned.service}: restored ${deletion.where} ${deletion.branch} at ${deletion.sha.slice(0, 8)}`, 'green', true);
+      } catch (error) {
+        restored.success = false;
+        restored.error = describeFailure(error);
+        result.success = false;
+        result.error = `Could not restore ${deletion.where} ${deletion.branch}`;
+        log(`${pruned.service}: ${colors.red}could not restore ${deletion.where} ${deletion.branch}: ${restored.error}${colors.reset}`, 'reset', true);
+      }
+      result.restored.push(restored);
+    }
+    results.push(result);
+  }
+  
+  if (results.length === 0) {
+    log(`Nothing to restore from ${entry.id}${branchNames.length > 0 ? ` matching ${branchNames.join(', ')}` : ''}`, 'yellow', true);
+  }
+  
+  if (results.some(r => !r.success)) {
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+async function createPullRequest(options = {}) {
+  const { title, body, draft = false, service: serviceName } = options;
+  
+  if (!title) {
+    log('Error: PR title is required', 'red', true);
+    return;
+  }
+  
+  log(`\n=== Creating Pull Request ===\n`, 'cyan', true);
+  
+  const servicesToProcess = getServicesToProcess(serviceName);
+  if (!servicesToProcess) {
+    return;
+  }
+  
+  const processed = await forEachService(servicesToProcess, async (name, path) => {
+    let result;
     try {
       if (!fs.existsSync(path)) {
-        continue;
+        return null;
       }
       
       // Get current branch
-      const currentBranch = gitCommand(path, 'rev-parse --abbrev-ref HEAD');
+      const currentBranch = await gitCommand(path, ['rev-parse', '--abbrev-ref', 'HEAD']);
       
       if (currentBranch === 'master' || currentBranch === 'main') {
-        results.push({ 
+        result = { 
           service: name, 
           success: false, 
           error: 'Cannot create PR from master/main branch' 
-        });
+        };
         log(`${name}: ${colors.red}✗ Cannot create PR from ${currentBranch}${colors.reset}`, 'reset', true);
-        continue;
+        return result;
       }
       
+      // A failing pre-pr hook (tests, lint) skips this service's PR
+      checkPreHooks(await runHooks('pre-pr', name, path, { branch: currentBranch }));
+      
       // Check if branch has upstream
       try {
-        gitCommand(path, `rev-parse --abbrev-ref ${currentBranch}@{upstream}`);
+        await gitCommand(path, ['rev-parse', '--abbrev-ref', `${currentBranch}@{upstream}`]);
       } catch {
         // Push branch to origin first
         log(`${name}: Pushing branch to origin...`);
-        gitCommand(path, `push -u origin ${currentBranch}`);
+        await gitCommand(path, ['push', '-u', 'origin', currentBranch]);
       }
       
-      // Create PR using GitHub CLI
-      let ghCommand = `gh pr create --title "${title}"`;
-      
-      if (body) {
-        ghCommand += ` --body "${body}"`;
-      } else {
-        ghCommand += ` --body "Auto-generated PR for ${currentBranch}"`;
-      }
+      // Create PR using GitHub CLI; the body goes through stdin so any text is safe
+      const ghCommand = ['gh', 'pr', 'create', '--title', title, '--body-file', '-'];
       
       if (draft) {
-        ghCommand += ' --draft';
+        ghCommand.push('--draft');
       }
       
       // Add base branch (usually main or master)
-      const defaultBranch = gitCommand(path, 'symbolic-ref refs/remotes/origin/HEAD | sed "s@^refs/remotes/origin/@@"');
-      ghCommand += ` --base ${defaultBranch}`;
+      const defaultBranch = (await gitCommand(path, ['symbolic-ref', '--short', 'refs/remotes/origin/HEAD'])).replace(/^origin\//, '');
+      ghCommand.push('--base', defaultBranch);
+      if (DRY_RUN) {
+        log(`${name}: PR base branch ${defaultBranch || '(unknown - origin/HEAD is not set)'}`, 'reset', true);
+      }
       
-      const prUrl = execCommand(ghCommand, { cwd: path });
+      // Not retried: a create that timed out may still have opened the PR
+      const prBody = body || `Auto-generated PR for ${currentBranch}`;
+      const prUrl = await networkCommand(ghCommand, { cwd: path, input: prBody, retries: 0, mutating: true });
       
-      results.push({ 
+      result = { 
         service: name, 
         success: true, 
         branch: currentBranch,
         prUrl: prUrl.trim()
-      });
+      };
       
-      log(`${name}: ${colors.green}✓ PR created${colors.reset}`, 'reset', true);
+      log(`${name}: ${colors.green}✓ PR ${DRY_RUN ? 'would be created' : 'created'}${colors.reset}`, 'reset', true);
       log(`  ${colors.blue}${prUrl.trim()}${colors.reset}`, 'reset', true);
       
     } catch (error) {
-      results.push({ 
+      result = { 
         service: name, 
         success: false, 
         error: error.message 
-      });
+      };
       log(`${name}: ${colors.red}✗ ${error.message}${colors.reset}`, 'reset', true);
     }
-  }
+    return result;
+  });
+  const results = processed.filter(Boolean);
   
   // Summary
   log('\n' + '='.repeat(50), 'reset', true);
@@ -1343,7 +2520,10 @@ async function createPullRequest(options = {}) {
     failed.forEach(r => {
       log(`  ${r.service}: ${r.error}`, 'reset', true);
     });
+    process.exitCode = 1;
   }
+  
+  return results;
 }
 
 async function reviewPullRequests(ticketNumber, options = {}) {
@@ -1352,34 +2532,37 @@ async function reviewPullRequests(ticketNumber, options = {}) {
   
   log(`\n=== Searching for PRs: ${searchPattern} ===\n`, 'cyan', true);
   
-  const allPRs = [];
-  let totalFiles = 0;
-  let totalAdditions = 0;
-  let totalDeletions = 0;
+  const servicesToSearch = getServicesToProcess();
+  if (!servicesToSearch) {
+    return;
+  }
   
-  for (const [name, path] of Object.entries(services)) {
+  const prsByService = await forEachService(servicesToSearch, async (name, path) => {
+    const servicePRs = [];
     try {
       if (!fs.existsSync(path)) {
-        continue;
+        return servicePRs;
       }
       
       // Use GitHub CLI to find PRs with the ticket number
       // Run gh as www-data user to avoid ownership issues
-      const ghEnv = ghToken ? `GH_TOKEN=${ghToken} ` : '';
-      const prListCommand = checkRoot()
-        ? `sudo -u www-data ${ghEnv}gh pr list --search "${searchPattern}" --state all --json number,title,state,url,isDraft,createdAt,author,headRefName`
-        : `${ghEnv}gh pr list --search "${searchPattern}" --state all --json number,title,state,url,isDraft,createdAt,author,headRefName`;
-      const prsJson = execCommand(prListCommand, { cwd: path });
+      const prFields = 'number,title,state,url,isDraft,createdAt,author,headRefName';
+      const prListCommand = ghInvocation(['pr', 'list', '--search', searchPattern, '--state', 'all', '--json', prFields]);
+      const found = JSON.parse((await networkCommand(prListCommand, { cwd: path })) || '[]');
       
-      if (prsJson && prsJson.trim() !== '[]') {
-        const prs = JSON.parse(prsJson);
+      // GitHub search does not look inside branch names, so PRs whose title
+      // lacks the ticket (feature/REN-1234-login) are found by their branch
+      const recentCommand = ghInvocation(['pr', 'list', '--state', 'all', '--limit', '100', '--json', prFields]);
+      const byBranch = JSON.parse((await networkCommand(recentCommand, { cwd: path })) || '[]')
+        .filter(pr => branchTicket(pr.headRefName) === searchPattern && !found.some(other => other.number === pr.number));
+      
+      const prs = [...found, ...byBranch];
+      if (prs.length > 0) {
         
         for (const pr of prs) {
           // Get PR details including files changed
-          const prDetailsCommand = checkRoot()
-            ? `sudo -u www-data ${ghEnv}gh pr view ${pr.number} --json files,additions,deletions,body,reviews,comments`
-            : `${ghEnv}gh pr view ${pr.number} --json files,additions,deletions,body,reviews,comments`;
-          const prDetails = JSON.parse(execCommand(prDetailsCommand, { cwd: path }));
+          const prDetailsCommand = ghInvocation(['pr', 'view', String(pr.number), '--json', 'files,additions,deletions,body,reviews,comments']);
+          const prDetails = JSON.parse(await networkCommand(prDetailsCommand, { cwd: path }));
           
           const prInfo = {
             service: name,
@@ -1388,10 +2571,7 @@ async function reviewPullRequests(ticketNumber, options = {}) {
             filesChanged: prDetails.files ? prDetails.files.length : 0
           };
           
-          allPRs.push(prInfo);
-          totalFiles += prInfo.filesChanged;
-          totalAdditions += prDetails.additions || 0;
-          totalDeletions += prDetails.deletions || 0;
+          servicePRs.push(prInfo);
           
           // Display PR info
           log(`\n${colors.yellow}${name}:${colors.reset}`, 'reset', true);
@@ -1411,14 +2591,20 @@ async function reviewPullRequests(ticketNumber, options = {}) {
     } catch (error) {
       // No PRs found or error
     }
-  }
+    return servicePRs;
+  });
+  
+  const allPRs = prsByService.flat();
+  const totalFiles = allPRs.reduce((sum, pr) => sum + pr.filesChanged, 0);
+  const totalAdditions = allPRs.reduce((sum, pr) => sum + (pr.additions || 0), 0);
+  const totalDeletions = allPRs.reduce((sum, pr) => sum + (pr.deletions || 0), 0);
   
   // Summary
   log('\n' + '='.repeat(60), 'reset', true);
   
   if (allPRs.length === 0) {
     log(`No PRs found for ticket ${searchPattern}`, 'yellow', true);
-    return;
+    return allPRs;
   }
   
   log(`\n${colors.cyan}=== Summary for ${searchPattern} ===${colors.reset}`, 'reset', true);
@@ -1529,6 +2715,8 @@ Please provide:
     log(`  gh pr review ${pr.number} --repo ${pr.url.split('/').slice(3, 5).join('/')}`, 'reset', true);
     log(`  gh pr checkout ${pr.number} --repo ${pr.url.split('/').slice(3, 5).join('/')}`, 'reset', true);
   });
+  
+  return allPRs;
 }
 
 async function listAllPullRequests(options = {}) {
@@ -1536,53 +2724,53 @@ async function listAllPullRequests(options = {}) {
   
   log(`\n=== Listing ${state === 'all' ? 'All' : state.charAt(0).toUpperCase() + state.slice(1)} Pull Requests ===\n`, 'cyan', true);
   
-  const allPRs = [];
-  const prsByTicket = {};
+  const servicesToSearch = getServicesToProcess();
+  if (!servicesToSearch) {
+    return;
+  }
   
-  for (const [name, path] of Object.entries(services)) {
+  const prsByService = await forEachService(servicesToSearch, async (name, path) => {
     try {
       if (!fs.existsSync(path)) {
-        continue;
+        return [];
       }
       
       // List PRs for this service
       // Run gh as www-data user to avoid ownership issues
-      const ghEnv = ghToken ? `GH_TOKEN=${ghToken} ` : '';
-      const prListCommand = checkRoot() 
-        ? `sudo -u www-data ${ghEnv}gh pr list --state ${state} --json number,title,state,url,isDraft,createdAt,author,headRefName --limit 50`
-        : `${ghEnv}gh pr list --state ${state} --json number,title,state,url,isDraft,createdAt,author,headRefName --limit 50`;
-      const prsJson = execCommand(prListCommand, { cwd: path });
+      const prListCommand = ghInvocation(['pr', 'list', '--state', state, '--json', 'number,title,state,url,isDraft,createdAt,author,headRefName', '--limit', '50']);
+      const prsJson = await networkCommand(prListCommand, { cwd: path });
       
       if (prsJson && prsJson.trim() !== '[]') {
-        const prs = JSON.parse(prsJson);
-        
-        for (const pr of prs) {
-          const prInfo = {
-            service: name,
-            ...pr
-          };
-          
-          allPRs.push(prInfo);
-          
-          // Extract ticket number if present
-          const ticketMatch = pr.title.match(/REN-(\d+)/i) || pr.headRefName.match(/REN-(\d+)/i);
-          if (ticketMatch) {
-            const ticket = ticketMatch[0].toUpperCase();
-            if (!prsByTicket[ticket]) {
-              prsByTicket[ticket] = [];
-            }
-            prsByTicket[ticket].push(prInfo);
-          }
-        }
+        return JSON.parse(prsJson).map(pr => ({
+          service: name,
+          ...pr
+        }));
       }
     } catch (error) {
       // Service might not have gh configured
     }
-  }
+    return [];
+  });
+  
+  const allPRs = prsByService.flat();
+  const prsByTicket = {};
+  
+  allPRs.forEach(prInfo => {
+    // Extract ticket number if present, from the title or the branch name
+    const titleMatch = prInfo.title.match(/REN-\d+/i);
+    prInfo.ticket = titleMatch ? titleMatch[0].toUpperCase() : branchTicket(prInfo.headRefName);
+    if (prInfo.ticket) {
+      const ticket = prInfo.ticket;
+      if (!prsByTicket[ticket]) {
+        prsByTicket[ticket] = [];
+      }
+      prsByTicket[ticket].push(prInfo);
+    }
+  });
   
   if (allPRs.length === 0) {
     log(`No ${state} PRs found across any services.`, 'yellow', true);
-    return;
+    return { allPRs, prsByTicket };
   }
   
   // Sort by creation date
@@ -1609,133 +2797,2133 @@ async function listAllPullRequests(options = {}) {
   }
   
   // Then show PRs without ticket numbers
-  const prsWithoutTickets = allPRs.filter(pr => {
-    const hasTicket = pr.title.match(/REN-\d+/i) || pr.headRefName.match(/REN-\d+/i);
-    return !hasTicket;
-  });
+  const prsWithoutTickets = allPRs.filter(pr => !pr.ticket);
   
   if (prsWithoutTickets.length > 0) {
     log(`\n${colors.cyan}=== Other PRs ===${colors.reset}`, 'reset', true);
     
-    for (const pr of prsWithoutTickets) {
-      const statusColor = pr.state === 'OPEN' ? 'green' : 'red';
-      const draftText = pr.isDraft ? ' [DRAFT]' : '';
-      log(`\n${colors.blue}${pr.service}${colors.reset}: ${pr.title}${draftText}`, 'reset', true);
-      log(`  ${colors[statusColor]}#${pr.number}${colors.reset} by ${pr.author.login} - ${new Date(pr.createdAt).toLocaleDateString()}`, 'reset', true);
-      log(`  ${pr.url}`, 'reset', true);
+    for (const pr of prsWithoutTickets) {
+      const statusColor = pr.state === 'OPEN' ? 'green' : 'red';
+      const draftText = pr.isDraft ? ' [DRAFT]' : '';
+      log(`\n${colors.blue}${pr.service}${colors.reset}: ${pr.title}${draftText}`, 'reset', true);
+      log(`  ${colors[statusColor]}#${pr.number}${colors.reset} by ${pr.author.login} - ${new Date(pr.createdAt).toLocaleDateString()}`, 'reset', true);
+      log(`  ${pr.url}`, 'reset', true);
+    }
+  }
+  
+  // Show quick review commands
+  log(`\n${colors.cyan}=== Quick Review Commands ===${colors.reset}`, 'reset', true);
+  
+  // Group tickets that have multiple PRs
+  const multiServiceTickets = Object.entries(prsByTicket).filter(([_, prs]) => prs.length > 1);
+  
+  if (multiServiceTickets.length > 0) {
+    log(`\nMulti-service tickets (use AI review):`, 'reset', true);
+    multiServiceTickets.forEach(([ticket, prs]) => {
+      const ticketNum = ticket.replace('REN-', '');
+      log(`  node repo-manager.js review ${ticketNum} --analyze    # Review all ${prs.length} PRs for ${ticket}`, 'reset', true);
+    });
+  }
+  
+  return { allPRs, prsByTicket };
+}
+
+// Status, stash counts, recent commits and open PRs of every service, written
+// as a Markdown or HTML file for standups and release notes
+async function generateReport(options = {}) {
+  const { since = '7d', format, output, count = 10 } = options;
+  
+  let sinceDate;
+  let type;
+  try {
+    sinceDate = parseDateFlag(since, '--since');
+    type = reportFormat(format, output);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const servicesToCheck = getServicesToProcess();
+  if (!servicesToCheck) {
+    return;
+  }
+  
+  log('\n=== Workspace Report ===\n', 'cyan', true);
+  progress('Collecting status, stashes, recent activity and pull requests... ');
+  
+  // Reuse the status, stash, recent and prs commands without their output
+  let statuses, stashes, activity, prList;
+  SILENT = true;
+  try {
+    statuses = await forEachService(servicesToCheck, getRepositoryStatus);
+    stashes = await manageStash('list');
+    activity = await showRecentActivity({ since: sinceDate, count });
+    prList = await listAllPullRequests({ state: 'open' });
+  } finally {
+    SILENT = false;
+  }
+  progress(`${colors.green}✓${colors.reset}\n`);
+  
+  const report = {
+    generated: new Date().toISOString(),
+    environment: getEnvironment(),
+    repoRoot: REPO_ROOT,
+    since: sinceDate.toISOString(),
+    services: statuses.map(status => {
+      const stash = stashes.find(entry => entry.service === status.service);
+      return { ...status, stashes: stash ? stash.count : 0 };
+    }),
+    activity,
+    pullRequests: {
+      byTicket: prList.prsByTicket,
+      other: prList.allPRs.filter(pr => !pr.ticket)
+    }
+  };
+  
+  const file = path.resolve(output || `ren360-report-${report.generated.split('T')[0]}.${type === 'html' ? 'html' : 'md'}`);
+  try {
+    fs.writeFileSync(file, renderReport(report, type));
+  } catch (error) {
+    log(`Error: Could not write report: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const commitCount = activity.reduce((sum, entry) => sum + entry.commits.length, 0);
+  log(`Report written to ${file}`, 'green', true);
+  log(`${report.services.length} service(s), ${prList.allPRs.length} open PR(s), ${commitCount} recent commit(s)`, 'reset', true);
+  
+  const errors = statuses.filter(status => status.error);
+  if (errors.length > 0) {
+    log(`${errors.length} service(s) could not be read; see the report`, 'yellow', true);
+    process.exitCode = 1;
+  }
+  
+  return { file, format: type, ...report };
+}
+
+// options: from (base branch for every service), type (feature, hotfix,
+// chore) and slug, used by the branchTemplate setting
+async function createBranch(ticketNumber, serviceName = null, options = {}) {
+  const { from = null, type = 'feature', slug = '' } = options;
+  
+  // Only require root on production servers
+  const environment = getEnvironment();
+  if (environment === 'production' && !checkRoot()) {
+    log('Error: This script must be run as root (use sudo) on production servers', 'red');
+    process.exitCode = 1;
+    return;
+  }
+  
+  let branchName;
+  try {
+    branchName = renderBranchName(CONFIG.get('branchTemplate'), { ticket: String(ticketNumber).replace(/^REN-/i, ''), type, slug });
+    validateBranchName(branchName);
+    if (from) {
+      validateBranchName(from);
+    }
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // Hotfixes start from master unless told otherwise
+  const baseOverride = from || (type === 'hotfix' ? 'master' : null);
+  log(`\n=== Creating Branch: ${branchName}${baseOverride ? ` from ${baseOverride}` : ''} ===\n`, 'cyan');
+  
+  const servicesToUpdate = getServicesToProcess(serviceName);
+  if (!servicesToUpdate) {
+    return;
+  }
+  
+  const results = await forEachService(servicesToUpdate, async (name, path) => {
+    let result;
+    log(`\n${colors.yellow}Creating branch for ${name}...${colors.reset}`);
+    
+    try {
+      // Check if directory exists
+      if (!fs.existsSync(path)) {
+        result = { service: name, success: false, error: 'Directory not found' };
+        return result;
+      }
+      
+      const baseBranch = baseOverride || serviceBaseBranch(name);
+      validateBranchName(baseBranch);
+      
+      // Get current branch
+      const currentBranch = await gitCommand(path, ['rev-parse', '--abbrev-ref', 'HEAD']);
+      log(`Current branch: ${currentBranch}`);
+      
+      // Fetch latest changes
+      log('Fetching latest changes...');
+      await gitCommand(path, ['fetch']);
+      
+      if (DRY_RUN) {
+        if (!(await remoteBranchExists(path, baseBranch))) {
+          throw new Error(`Base branch '${baseBranch}' does not exist in remote`);
+        }
+        log(`Base branch '${baseBranch}' exists in remote`, 'green');
+      }
+      
+      // Checkout the base branch first
+      log(`Checking out ${baseBranch} branch...`);
+      await gitCommand(path, ['checkout', baseBranch]);
+      
+      // Pull latest base branch changes
+      log(`Pulling latest ${baseBranch} changes...`);
+      await gitCommand(path, ['pull']);
+      
+      // A dry run cannot rely on checkout -b failing for an existing branch
+      let existsLocally = false;
+      if (DRY_RUN) {
+        try {
+          await gitCommand(path, ['rev-parse', '--verify', `refs/heads/${branchName}`]);
+          existsLocally = true;
+        } catch {}
+      }
+      
+      if (existsLocally) {
+        log(`Branch ${branchName} already exists, would check it out`, 'yellow');
+        await gitCommand(path, ['checkout', branchName]);
+        result = { service: name, success: true, branch: branchName, base: baseBranch, existing: true };
+      } else {
+        // Create and checkout new branch
+        log(`Creating branch ${branchName}...`);
+        try {
+          await gitCommand(path, ['checkout', '-b', branchName]);
+          log(`${colors.green}Success: ${name} - created branch ${branchName} from ${baseBranch}${colors.reset}`);
+          result = { service: name, success: true, branch: branchName, base: baseBranch };
+        } catch (error) {
+          // Branch might already exist
+          if (error.message.includes('already exists')) {
+            log(`Branch ${branchName} already exists, checking it out...`, 'yellow');
+            await gitCommand(path, ['checkout', branchName]);
+            result = { service: name, success: true, branch: branchName, base: baseBranch, existing: true };
+          } else {
+            throw error;
+          }
+        }
+      }
+      
+      const hooks = await runHooks('post-create-branch', name, path, { branch: branchName });
+      if (hooks.length > 0) {
+        result.hooks = hooks;
+      }
+      
+    } catch (error) {
+      log(`${colors.red}Error: ${error.message}${colors.reset}`);
+      result = { service: name, success: false, error: error.message };
+    }
+    
+    log('----------------------------------------');
+    return result;
+  });
+  
+  // Summary
+  log('\n=== Branch Creation Summary ===\n', 'cyan');
+  
+  const successful = results.filter(r => r.success);
+  const failed = results.filter(r => !r.success);
+  
+  if (successful.length > 0) {
+    log(`Successfully created/checked out: ${successful.length} service(s)`, 'green');
+    successful.forEach(r => {
+      const status = r.existing ? '(existing)' : `(new, from ${r.base})`;
+      log(`  ✓ ${r.service} -> ${r.branch} ${status}`, 'green');
+    });
+  }
+  
+  if (failed.length > 0) {
+    log(`\nFailed to create branch: ${failed.length} service(s)`, 'red');
+    failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red'));
+    process.exitCode = 1;
+  }
+  
+  reportHookFailures(results);
+  
+  return results;
+}
+
+// git merge-tree --write-tree, used by conflicts, arrived in git 2.38
+const MERGE_TREE_GIT_VERSION = [2, 38];
+
+// Installed git version as [major, minor], read once; null if unreadable
+let gitVersionPromise = null;
+function getGitVersion() {
+  if (!gitVersionPromise) {
+    gitVersionPromise = execCommand(['git', '--version'], { timeout: 15000 })
+      .then(output => {
+        const match = /(\d+)\.(\d+)/.exec(output);
+        return match ? [Number(match[1]), Number(match[2])] : null;
+      })
+      .catch(() => null);
+  }
+  return gitVersionPromise;
+}
+
+function versionAtLeast(version, [major, minor]) {
+  return version[0] > major || (version[0] === major && version[1] >= minor);
+}
+
+// Files that would conflict if ref were merged into target, using git's
+// in-memory merge so the working tree is never touched
+async function predictConflicts(repoPath, target, ref) {
+  try {
+    await gitCommand(repoPath, ['merge-tree', '--write-tree', '--name-only', '--no-messages', target, ref]);
+    return [];
+  } catch (error) {
+    // Exit code 1 means conflicts: the tree id, then the conflicted files
+    if (error.exitCode !== 1 || !error.stdout) {
+      throw error;
+    }
+    return [...new Set(error.stdout.split('\n').slice(1).filter(Boolean))];
+  }
+}
+
+// Pairs of unmerged ticket branches on origin that change the same files:
+// [{ branches, files }]. ticketRef (a local branch) stands in for its origin copy.
+async function findOverlappingBranches(repoPath, target, ticketRef) {
+  const refs = (await gitCommand(repoPath, ['for-each-ref', `--no-merged=${target}`, '--format=%(refname:short)', 'refs/remotes/origin']))
+    .split('\n')
+    .filter(ref => ref && branchTicket(ref));
+  
+  const changed = {};
+  for (const ref of [ticketRef, ...refs]) {
+    const branch = ref.replace(/^origin\//, '');
+    if (!changed[branch]) {
+      const files = await gitCommand(repoPath, ['diff', '--name-only', `${target}...${ref}`]);
+      changed[branch] = files.split('\n').filter(Boolean);
+    }
+  }
+  
+  const overlaps = [];
+  const branches = Object.keys(changed);
+  branches.forEach((first, index) => {
+    branches.slice(index + 1).forEach(second => {
+      // Two branches of the same ticket are expected to share files
+      if (branchTicket(first) === branchTicket(second)) {
+        return;
+      }
+      const files = changed[first].filter(file => changed[second].includes(file));
+      if (files.length > 0) {
+        overlaps.push({ branches: [first, second], files });
+      }
+    });
+  });
+  return overlaps;
+}
+
+async function checkTicketConflicts(ticket, options = {}) {
+  const ticketNumber = String(ticket).replace(/^REN-/i, '');
+  // Without --into, each service is checked against its own base branch
+  const into = options.into || null;
+  
+  if (!/^\d+$/.test(ticketNumber)) {
+    log(`Error: '${ticket}' is not a ticket number`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    if (into) {
+      validateBranchName(into);
+    }
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  // Older git rejects merge-tree --write-tree with a usage error in every service
+  const version = await getGitVersion();
+  if (version && !versionAtLeast(version, MERGE_TREE_GIT_VERSION)) {
+    log(`Error: conflicts needs git ${MERGE_TREE_GIT_VERSION.join('.')} or later (found ${version.join('.')})`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== Conflict Check: REN-${ticketNumber} into ${into || 'the base branch'} ===\n`, 'cyan', true);
+  
+  const servicesToCheck = getServicesToProcess(options.service);
+  if (!servicesToCheck) {
+    return;
+  }
+  
+  progress('Fetching and merging in memory... ');
+  const processed = await forEachService(servicesToCheck, async (name, path) => {
+    if (!fs.existsSync(path)) {
+      return null;
+    }
+    try {
+      const info = await getAllBranches(name, path);
+      if (info.error) {
+        throw new Error(info.error);
+      }
+      const branch = resolveTicketBranch(ticketNumber, info.branches);
+      if (!branch) {
+        return null;
+      }
+      
+      const base = into || serviceBaseBranch(name);
+      const target = info.remote.includes(base) ? `origin/${base}` : info.local.includes(base) ? base : null;
+      if (!target) {
+        throw new Error(`No branch '${base}'`);
+      }
+      // The local branch includes unpushed work; otherwise check what was pushed
+      const ref = info.local.includes(branch) ? branch : `origin/${branch}`;
+      
+      const conflicts = await predictConflicts(path, target, ref);
+      const overlaps = await findOverlappingBranches(path, target, ref);
+      return { service: name, success: true, branch: ref, into: target, clean: conflicts.length === 0, conflicts, overlaps };
+    } catch (error) {
+      return { service: name, success: false, error: describeFailure(error), conflicts: [], overlaps: [] };
+    }
+  });
+  progress(`${colors.green}✓${colors.reset}\n\n`);
+  const results = processed.filter(Boolean);
+  
+  if (results.length === 0) {
+    log(`No service has a branch for REN-${ticketNumber}`, 'yellow', true);
+    return results;
+  }
+  
+  const serviceWidth = Math.max(...results.map(r => r.service.length));
+  const branchWidth = Math.max(...results.filter(r => r.success).map(r => r.branch.length), 0);
+  results.forEach(result => {
+    const service = result.service.padEnd(serviceWidth);
+    if (!result.success) {
+      log(`${service}  ${colors.red}Error: ${result.error}${colors.reset}`, 'reset', true);
+    } else if (result.clean) {
+      log(`${service}  ${result.branch.padEnd(branchWidth)}  ${colors.green}✓ merges cleanly into ${result.into}${colors.reset}`, 'reset', true);
+    } else {
+      log(`${service}  ${result.branch.padEnd(branchWidth)}  ${colors.red}✗ ${result.conflicts.length} conflicting file(s) with ${result.into}${colors.reset}`, 'reset', true);
+      result.conflicts.forEach(file => log(`${''.padEnd(serviceWidth)}    ${file}`, 'reset', true));
+    }
+  });
+  
+  // Branches of this ticket first; they are the ones about to be merged
+  const overlapping = results.filter(r => r.overlaps.length > 0);
+  if (overlapping.length > 0) {
+    log(`\n${colors.cyan}=== Ticket Branches Changing the Same Files ===${colors.reset}`, 'reset', true);
+    overlapping.forEach(result => {
+      log(`\n${colors.yellow}${result.service}:${colors.reset}`, 'reset', true);
+      const involved = overlap => overlap.branches.some(branch => branchTicket(branch) === `REN-${ticketNumber}`);
+      [...result.overlaps.filter(involved), ...result.overlaps.filter(overlap => !involved(overlap))].forEach(overlap => {
+        const color = involved(overlap) ? 'yellow' : 'reset';
+        log(`  ${colors[color]}${overlap.branches.join(' ↔ ')}${colors.reset}: ${overlap.files.join(', ')}`, 'reset', true);
+      });
+    });
+  }
+  
+  // Summary
+  log('\n' + '='.repeat(50), 'reset', true);
+  const conflicted = results.filter(r => r.success && !r.clean);
+  const failed = results.filter(r => !r.success);
+  if (conflicted.length === 0 && failed.length === 0) {
+    log(`${colors.green}REN-${ticketNumber} merges cleanly into ${into || 'the base branch'} in all ${results.length} service(s)${colors.reset}`, 'reset', true);
+  } else {
+    log(`${conflicted.length > 0 ? `${colors.red}${conflicted.length} service(s) would conflict${colors.reset}` : ''}${conflicted.length > 0 && failed.length > 0 ? ', ' : ''}${failed.length > 0 ? `${colors.red}${failed.length} could not be checked${colors.reset}` : ''}`, 'reset', true);
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+// Whether a merge or rebase is stopped in a service, and which
+async function pendingOperation(repoPath) {
+  try {
+    await gitCommand(repoPath, ['rev-parse', '-q', '--verify', 'MERGE_HEAD']);
+    return 'merge';
+  } catch {}
+  for (const dir of ['rebase-merge', 'rebase-apply']) {
+    if (fs.existsSync(path.resolve(repoPath, await gitCommand(repoPath, ['rev-parse', '--git-path', dir])))) {
+      return 'rebase';
+    }
+  }
+  return null;
+}
+
+// Merge (or rebase onto) origin/<base> in the ticket branch of every service
+// that has it. Conflicted services are left stopped at the conflict; the
+// starting state of each service is in the results (and so the audit log) for
+// refresh --abort.
+async function refreshTicketBranches(ticket, options = {}) {
+  const { rebase = false, service: serviceName = null } = options;
+  const ticketNumber = String(ticket).replace(/^REN-/i, '');
+  const mode = rebase ? 'rebase' : 'merge';
+  
+  if (!/^\d+$/.test(ticketNumber)) {
+    log(`Error: '${ticket}' is not a ticket number`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== Refresh REN-${ticketNumber}: ${mode} the base branch ===\n`, 'cyan', true);
+  
+  const servicesToProcess = getServicesToProcess(serviceName);
+  if (!servicesToProcess) {
+    return;
+  }
+  
+  const processed = await forEachService(servicesToProcess, async (name, path) => {
+    if (!fs.existsSync(path)) {
+      return null;
+    }
+    
+    progress(`${colors.yellow}${name}${colors.reset}... `);
+    const result = { service: name, mode, success: true };
+    try {
+      await gitCommand(path, ['fetch', '--quiet']);
+      
+      const info = await getAllBranches(name, path);
+      const branch = resolveTicketBranch(ticketNumber, info.branches);
+      if (!branch) {
+        progress('no ticket branch\n');
+        return null;
+      }
+      result.branch = branch;
+      
+      const pending = await pendingOperation(path);
+      if (pending) {
+        throw new Error(`A ${pending} is already in progress`);
+      }
+      if (await gitCommand(path, ['status', '--porcelain', '--untracked-files=no'])) {
+        throw new Error('Uncommitted changes (commit or stash them first)');
+      }
+      
+      const localExists = info.local.includes(branch);
+      const remoteExists = info.remote.includes(branch);
+      result.previous = {
+        branch: await gitCommand(path, ['rev-parse', '--abbrev-ref', 'HEAD']),
+        sha: await gitCommand(path, ['rev-parse', 'HEAD']),
+        branchSha: localExists ? await gitCommand(path, ['rev-parse', `refs/heads/${branch}`]) : null,
+        // The checkout below creates the local branch from origin
+        createdBranch: !localExists
+      };
+      
+      if (result.previous.branch !== branch) {
+        await gitCommand(path, ['checkout', branch]);
+      }
+      if (localExists && remoteExists) {
+        try {
+          await gitCommand(path, ['merge', '--ff-only', '--quiet', `origin/${branch}`]);
+        } catch {
+          throw new Error(`Local ${branch} has diverged from origin/${branch}`);
+        }
+      }
+      
+      // A dry run skips the checkout, so a branch only on origin has no local ref to count from
+      const countFrom = DRY_RUN && !localExists ? `origin/${branch}` : branch;
+      if (countFrom !== branch) {
+        log(`Would create local branch ${branch} from origin/${branch}`);
+      }
+      
+      const baseBranch = serviceBaseBranch(name);
+      result.base = baseBranch;
+      const { behind } = await aheadBehind(path, countFrom, `origin/${baseBranch}`);
+      if (behind === 0) {
+        result.status = 'up to date';
+        progress(`${colors.green}✓ up to date${colors.reset}\n`);
+        return result;
+      }
+      result.commits = behind;
+      
+      try {
+        await gitCommand(path, rebase ? ['rebase', `origin/${baseBranch}`] : ['merge', '--no-edit', `origin/${baseBranch}`]);
+        result.status = 'updated';
+        progress(`${colors.green}✓ ${rebase ? 'rebased onto' : 'merged'} ${behind} commit(s)${colors.reset}\n`);
+      } catch (error) {
+        const conflicts = (await gitCommand(path, ['diff', '--name-only', '--diff-filter=U'])).split('\n').filter(Boolean);
+        if (conflicts.length === 0) {
+          throw error;
+        }
+        result.success = false;
+        result.status = 'conflict';
+        result.conflicts = conflicts;
+        result.error = `${conflicts.length} conflicted file(s)`;
+        progress(`${colors.red}✗ conflicts${colors.reset}\n`);
+      }
+    } catch (error) {
+      result.success = false;
+      result.status = 'error';
+      result.error = describeFailure(error);
+      progress(`${colors.red}✗ ${result.error}${colors.reset}\n`);
+      
+      // Nothing was merged; go back to where the service was, dropping a
+      // local ticket branch this run created
+      const { previous } = result;
+      if (previous && previous.branch !== result.branch) {
+        try {
+          const pending = await pendingOperation(path);
+          if (pending) {
+            await gitCommand(path, [pending, '--abort']);
+          }
+          await gitCommand(path, ['checkout', previous.branch === 'HEAD' ? previous.sha : previous.branch]);
+          if (previous.createdBranch) {
+            await gitCommand(path, ['branch', '-D', result.branch]);
+          }
+        } catch {}
+      }
+    }
+    return result;
+  });
+  const results = processed.filter(Boolean);
+  
+  // Summary
+  log('\n' + '='.repeat(50), 'reset', true);
+  
+  if (results.length === 0) {
+    log(`No service has a branch for REN-${ticketNumber}`, 'yellow', true);
+    return results;
+  }
+  
+  const updated = results.filter(r => r.status === 'updated');
+  const upToDate = results.filter(r => r.status === 'up to date');
+  const conflicted = results.filter(r => r.status === 'conflict');
+  const failed = results.filter(r => r.status === 'error');
+  
+  if (updated.length > 0) {
+    log(`${colors.green}Updated cleanly: ${updated.length} service(s)${colors.reset}`, 'reset', true);
+    updated.forEach(r => log(`  ✓ ${r.service} (${r.branch}, ${r.commits} commit(s) from ${r.base})`, 'green', true));
+  }
+  if (upToDate.length > 0) {
+    log(`${colors.green}Already up to date: ${upToDate.length} service(s)${colors.reset}`, 'reset', true);
+    upToDate.forEach(r => log(`  - ${r.service} (${r.branch})`, 'reset', true));
+  }
+  if (conflicted.length > 0) {
+    log(`${colors.red}Conflicts: ${conflicted.length} service(s)${colors.reset}`, 'reset', true);
+    conflicted.forEach(r => {
+      log(`  ✗ ${r.service} (${r.branch})`, 'red', true);
+      r.conflicts.forEach(file => log(`      ${file}`, 'reset', true));
+    });
+  }
+  if (failed.length > 0) {
+    log(`${colors.red}Failed: ${failed.length} service(s)${colors.reset}`, 'reset', true);
+    failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red', true));
+  }
+  
+  if (conflicted.length > 0) {
+    log(`\nResolve the conflicts and run "git ${mode} --continue" in each service,`, 'yellow', true);
+    log(`or put every service back with: node repo-manager.js refresh ${ticketNumber} --abort`, 'yellow', true);
+  } else if (updated.length > 0) {
+    log(`\nNothing was pushed; review and push each branch when ready${rebase ? ' (rebased branches need --force-with-lease)' : ''}`, 'reset', true);
+  }
+  
+  if (conflicted.length > 0 || failed.length > 0) {
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+// Undo the last refresh of a ticket: abort stopped merges/rebases and put each
+// service's ticket branch and checkout back where they were
+async function abortRefresh(ticket) {
+  const ticketNumber = String(ticket).replace(/^REN-/i, '');
+  
+  log(`\n=== Abort Refresh REN-${ticketNumber} ===\n`, 'cyan', true);
+  
+  // Only a run that recorded where each service started and finished with an
+  // exit status can be undone; a crashed or rejected run has nothing to go back to
+  const entry = readAuditEntries(auditLogPath(), { command: 'refresh' })
+    .filter(e => String(e.args[0]).replace(/^REN-/i, '') === ticketNumber && !e.args.includes('--abort'))
+    .filter(e => e.finished && Number.isInteger(e.exitCode) && !e.error &&
+      Array.isArray(e.results) && e.results.some(r => r && r.previous))
+    .pop();
+  if (!entry) {
+    log(`Error: No refresh of REN-${ticketNumber} in ${auditLogPath()}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  log(`Undoing refresh ${entry.id} from ${new Date(entry.started).toLocaleString()}`, 'reset', true);
+  
+  const results = [];
+  for (const refreshed of entry.results.filter(r => r.previous)) {
+    const definition = serviceRegistry[refreshed.service];
+    const result = { service: refreshed.service, branch: refreshed.branch, success: true };
+    try {
+      if (!definition) {
+        throw new Error('No longer in the service registry');
+      }
+      const path = resolveServicePath(REPO_ROOT, definition);
+      const { previous, branch } = refreshed;
+      
+      const pending = await pendingOperation(path);
+      if (pending) {
+        await gitCommand(path, [pending, '--abort']);
+        result.aborted = pending;
+      }
+      
+      if (previous.branchSha) {
+        // Reset the ticket branch, whether or not it is checked out
+        const current = await gitCommand(path, ['rev-parse', '--abbrev-ref', 'HEAD']);
+        if (current === branch) {
+          await gitCommand(path, ['reset', '--hard', previous.branchSha]);
+        } else {
+          await gitCommand(path, ['branch', '-f', branch, previous.branchSha]);
+        }
+      }
+      
+      if (previous.branch === 'HEAD') {
+        await gitCommand(path, ['checkout', '--detach', previous.sha]);
+      } else {
+        await gitCommand(path, ['checkout', previous.branch]);
+      }
+      
+      // The ticket branch did not exist locally before the refresh created it
+      if (!previous.branchSha && previous.branch !== branch) {
+        await gitCommand(path, ['branch', '-D', branch]);
+      }
+      
+      log(`${refreshed.service}: ${colors.green}restored${colors.reset} (${previous.branch}${previous.branchSha ? `, ${branch} at ${previous.branchSha.slice(0, 8)}` : ''})`, 'reset', true);
+    } catch (error) {
+      result.success = false;
+      result.error = describeFailure(error);
+      log(`${refreshed.service}: ${colors.red}${result.error}${colors.reset}`, 'reset', true);
+    }
+    results.push(result);
+  }
+  
+  if (results.some(r => !r.success)) {
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+// Record the branch, HEAD and local changes of a service. Tracked changes are
+// kept in a stash commit (git stash create + store) so the working tree is not
+// touched; untracked files are only counted.
+async function captureServiceState(repoPath, snapshotName) {
+  const branch = await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  const sha = await gitCommand(repoPath, ['rev-parse', 'HEAD']);
+  
+  const statusLines = (await gitCommand(repoPath, ['status', '--porcelain']))
+    .split('\n')
+    .filter(line => line.trim());
+  const untrackedFiles = statusLines.filter(line => line.startsWith('??')).length;
+  const uncommittedFiles = statusLines.length - untrackedFiles;
+  
+  let stash = null;
+  if (uncommittedFiles > 0) {
+    stash = await gitCommand(repoPath, ['stash', 'create']) || null;
+    if (stash) {
+      await gitCommand(repoPath, ['stash', 'store', '-m', `repo-manager snapshot ${snapshotName}`, stash]);
+    }
+  }
+  
+  return {
+    branch,
+    sha,
+    dirty: statusLines.length > 0,
+    uncommittedFiles,
+    untrackedFiles,
+    stash
+  };
+}
+
+// Put a service back on the branch and commit recorded in a snapshot.
+// dropStash removes state.stash from the stash list once it is re-applied
+// (an update's auto-stash); snapshot stashes are kept for the next restore.
+async function restoreServiceState(serviceName, repoPath, state, reason = 'snapshot restore', { dropStash = false } = {}) {
+  if (!fs.existsSync(repoPath)) {
+    return { service: serviceName, success: false, error: 'Directory not found' };
+  }
+  
+  try {
+    const currentSha = await gitCommand(repoPath, ['rev-parse', 'HEAD']);
+    const currentBranch = await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    const notes = [];
+    
+    let clean = true;
+    try {
+      await gitCommand(repoPath, ['diff-index', '--quiet', 'HEAD', '--']);
+    } catch {
+      clean = false;
+    }
+    
+    if (clean && currentSha === state.sha && currentBranch === state.branch && !state.stash) {
+      return { service: serviceName, success: true, status: 'unchanged', branch: state.branch, sha: state.sha };
+    }
+    
+    // Local changes are kept in a stash; the note tells the user where they went
+    const stashed = clean ? null : await autoStash(repoPath, reason);
+    if (stashed) {
+      notes.push(`local changes stashed as ${stashed.slice(0, 8)}`);
+    }
+    
+    // The commit may only exist on the remote (e.g. after a local reset)
+    try {
+      await gitCommand(repoPath, ['cat-file', '-e', `${state.sha}^{commit}`]);
+    } catch {
+      log(`${serviceName}: fetching ${state.sha.slice(0, 8)}...`);
+      await gitCommand(repoPath, ['fetch']);
+    }
+    
+    // Snapshot and lock files are edited by hand; never pass git a bad ref
+    if (state.branch !== 'HEAD') {
+      validateBranchName(state.branch);
+    }
+    
+    if (state.branch === 'HEAD') {
+      await gitCommand(repoPath, ['checkout', '--detach', state.sha]);
+    } else {
+      let branchTip = null;
+      try {
+        branchTip = await gitCommand(repoPath, ['rev-parse', '--verify', `refs/heads/${state.branch}`]);
+      } catch {
+        // Branch no longer exists locally
+      }
+      
+      if (!branchTip) {
+        await gitCommand(repoPath, ['checkout', '-b', state.branch, state.sha]);
+        notes.push('branch recreated');
+      } else if (branchTip === state.sha) {
+        await gitCommand(repoPath, ['checkout', state.branch]);
+      } else if (await gitCommand(repoPath, ['branch', '-r', '--contains', branchTip])) {
+        // Newer commits are safe on the remote, so move the branch back
+        await gitCommand(repoPath, ['checkout', '-B', state.branch, state.sha]);
+        notes.push(`branch moved back from ${branchTip.slice(0, 8)}`);
+      } else {
+        // Never drop local-only commits; leave the branch alone and detach
+        await gitCommand(repoPath, ['checkout', '--detach', state.sha]);
+        notes.push(`${state.branch} has local commits, detached at snapshot commit`);
+      }
+    }
+    
+    if (state.stash) {
+      await gitCommand(repoPath, ['stash', 'apply', state.stash]);
+      notes.push('changes re-applied');
+      
+      if (dropStash) {
+        const entry = (await gitCommand(repoPath, ['stash', 'list', '--format=%gd %H']))
+          .split('\n')
+          .find(line => line.endsWith(` ${state.stash}`));
+        if (entry) {
+          await gitCommand(repoPath, ['stash', 'drop', entry.split(' ')[0]]);
+        }
+      }
+    }
+    
+    return { service: serviceName, success: true, status: 'restored', branch: state.branch, sha: state.sha, stashed, notes };
+  } catch (error) {
+    return { service: serviceName, success: false, error: error.message };
+  }
+}
+
+async function saveWorkspaceSnapshot(name, options = {}) {
+  const { force = false } = options;
+  
+  try {
+    validateSnapshotName(name);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const environment = getEnvironment();
+  if (environment === 'production' && !checkRoot()) {
+    log('Error: This script must be run as root (use sudo) on production servers', 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== Saving Snapshot: ${name} ===\n`, 'cyan', true);
+  
+  const servicesToSave = getServicesToProcess();
+  if (!servicesToSave) {
+    return;
+  }
+  
+  const snapshot = {
+    name,
+    created: new Date().toISOString(),
+    repoRoot: REPO_ROOT,
+    environment,
+    services: {}
+  };
+  const captured = await forEachService(servicesToSave, async (serviceName, repoPath) => {
+    if (!fs.existsSync(repoPath)) {
+      return { service: serviceName, error: 'Directory not found' };
+    }
+    
+    try {
+      const state = await captureServiceState(repoPath, name);
+      
+      const dirtyText = state.dirty
+        ? `${colors.yellow}dirty (${state.uncommittedFiles} tracked, ${state.untrackedFiles} untracked)${colors.reset}`
+        : `${colors.green}clean${colors.reset}`;
+      log(`${serviceName.padEnd(14)} ${state.branch} @ ${state.sha.slice(0, 8)}  ${dirtyText}`, 'reset', true);
+      return { service: serviceName, state };
+    } catch (error) {
+      return { service: serviceName, error: error.message };
+    }
+  });
+  
+  captured.filter(r => r.state).forEach(r => {
+    snapshot.services[r.service] = r.state;
+  });
+  const skipped = captured.filter(r => r.error);
+  
+  skipped.forEach(r => log(`${r.service.padEnd(14)} ${colors.red}skipped: ${r.error}${colors.reset}`, 'reset', true));
+  
+  let file;
+  try {
+    file = saveSnapshot(snapshot, { force });
+  } catch (error) {
+    log(`\nError: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log('\n' + '='.repeat(50), 'reset', true);
+  log(`Saved ${Object.keys(snapshot.services).length} service(s) to ${file}`, 'green', true);
+  
+  const untracked = Object.values(snapshot.services).filter(state => state.untrackedFiles > 0).length;
+  if (untracked > 0) {
+    log(`Note: untracked files in ${untracked} service(s) are not part of the snapshot`, 'yellow', true);
+  }
+  
+  return snapshot;
+}
+
+async function restoreWorkspaceSnapshot(name) {
+  const environment = getEnvironment();
+  if (environment === 'production' && !checkRoot()) {
+    log('Error: This script must be run as root (use sudo) on production servers', 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  let snapshot;
+  try {
+    snapshot = loadSnapshot(name);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== Restoring Snapshot: ${name} (${new Date(snapshot.created).toLocaleString()}) ===\n`, 'cyan', true);
+  
+  const servicesToRestore = getServicesToProcess();
+  if (!servicesToRestore) {
+    return;
+  }
+  
+  const servicesInSnapshot = {};
+  for (const serviceName of Object.keys(snapshot.services)) {
+    if (servicesToRestore[serviceName]) {
+      servicesInSnapshot[serviceName] = servicesToRestore[serviceName];
+    } else if (!serviceRegistry[serviceName]) {
+      log(`Warning: '${serviceName}' is no longer a registered service, skipping`, 'yellow', true);
+    }
+  }
+  
+  const results = await forEachService(servicesInSnapshot, async (serviceName, repoPath) => {
+    if (!VERBOSE) {
+      progress(`${colors.yellow}${serviceName}${colors.reset}... `);
+    }
+    
+    const result = await restoreServiceState(serviceName, repoPath, snapshot.services[serviceName]);
+    
+    if (!VERBOSE) {
+      progress(result.success ? `${colors.green}✓${colors.reset}\n` : `${colors.red}✗${colors.reset}\n`);
+    } else if (result.success) {
+      log(`${serviceName}: ${result.status} ${result.branch} @ ${result.sha.slice(0, 8)}`, 'green');
+    } else {
+      log(`${serviceName}: ${result.error}`, 'red');
+    }
+    return result;
+  });
+  
+  // Summary
+  log('\n=== Restore Summary ===\n', 'cyan', true);
+  
+  const restored = results.filter(r => r.success && r.status === 'restored');
+  const unchanged = results.filter(r => r.success && r.status === 'unchanged');
+  const failed = results.filter(r => !r.success);
+  
+  if (restored.length > 0) {
+    log(`${DRY_RUN ? 'Would restore' : 'Restored'}: ${restored.length} service(s)`, 'green', true);
+    restored.forEach(r => {
+      const notes = r.notes.length > 0 ? ` (${r.notes.join(', ')})` : '';
+      log(`  ✓ ${r.service} -> ${r.branch} @ ${r.sha.slice(0, 8)}${notes}`, 'green', true);
+    });
+  }
+  
+  if (unchanged.length > 0) {
+    log(`\nAlready at snapshot: ${unchanged.length} service(s)`, 'yellow', true);
+    unchanged.forEach(r => log(`  - ${r.service}`, 'yellow', true));
+  }
+  
+  if (failed.length > 0) {
+    log(`\nFailed to restore: ${failed.length} service(s)`, 'red', true);
+    failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red', true));
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+async function listWorkspaceSnapshots() {
+  log('\n=== Workspace Snapshots ===\n', 'cyan', true);
+  
+  const snapshots = listSnapshots();
+  
+  if (snapshots.length === 0) {
+    log(`No snapshots found in ${SNAPSHOT_DIR}`, 'yellow', true);
+    log('Create one with: node repo-manager.js snapshot save <name>', 'reset', true);
+    return [];
+  }
+  
+  const maxNameLength = Math.max(...snapshots.map(snapshot => snapshot.name.length));
+  
+  snapshots.forEach(snapshot => {
+    if (snapshot.corrupt) {
+      log(`${snapshot.name.padEnd(maxNameLength)}  ${colors.red}unreadable${colors.reset}`, 'reset', true);
+      return;
+    }
+    
+    const states = Object.values(snapshot.services);
+    const dirty = states.filter(state => state.dirty).length;
+    const created = new Date(snapshot.created).toLocaleString();
+    log(`${colors.yellow}${snapshot.name.padEnd(maxNameLength)}${colors.reset}  ${created}  ${states.length} services${dirty > 0 ? `, ${dirty} dirty` : ''}`, 'reset', true);
+    
+    if (VERBOSE) {
+      Object.entries(snapshot.services).forEach(([service, state]) => {
+        log(`    ${service.padEnd(14)} ${state.branch} @ ${state.sha.slice(0, 8)}`, 'reset', true);
+      });
+    }
+  });
+  
+  return snapshots;
+}
+
+async function diffWorkspaceSnapshots(fromName, toName) {
+  let from, to;
+  try {
+    from = loadSnapshot(fromName);
+    to = loadSnapshot(toName);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== Snapshot Diff: ${fromName} -> ${toName} ===\n`, 'cyan', true);
+  
+  const differences = diffSnapshots(from, to);
+  const format = (field, value) => {
+    if (value === null) return 'none';
+    return field === 'sha' || field === 'stash' ? String(value).slice(0, 8) : String(value);
+  };
+  
+  differences.forEach(entry => {
+    switch (entry.status) {
+      case 'same':
+        if (VERBOSE) {
+          log(`${entry.service}: ${colors.green}same${colors.reset}`, 'reset', true);
+        }
+        break;
+      case 'added':
+        log(`${colors.green}+ ${entry.service}${colors.reset} (only in ${toName})`, 'reset', true);
+        break;
+      case 'removed':
+        log(`${colors.red}- ${entry.service}${colors.reset} (only in ${fromName})`, 'reset', true);
+        break;
+      default:
+        log(`${colors.yellow}${entry.service}:${colors.reset}`, 'reset', true);
+        entry.changes.forEach(change => {
+          log(`  ${change.field.padEnd(7)} ${format(change.field, change.from)} -> ${format(change.field, change.to)}`, 'reset', true);
+        });
+    }
+  });
+  
+  const changed = differences.filter(entry => entry.status !== 'same').length;
+  log('\n' + '='.repeat(50), 'reset', true);
+  if (changed === 0) {
+    log('Snapshots are identical.', 'green', true);
+  } else {
+    log(`${changed} of ${differences.length} service(s) differ`, 'yellow', true);
+  }
+  
+  return differences;
+}
+
+// Parse a --since/--until value: a date ("2026-10-01", "2026-10-01T09:00") or "Nd" for N days ago
+function parseDateFlag(value, flag) {
+  const days = /^(\d+)d$/.exec(value);
+  const date = days ? new Date(Date.now() - days[1] * 24 * 60 * 60 * 1000) : new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`${flag} expects a date (YYYY-MM-DD) or a number of days (7d), got '${value}'`);
+  }
+  return date;
+}
+
+// Short outcome of an audit entry for one service, from the command's results
+function describeAuditOutcome(entry, service) {
+  const result = Array.isArray(entry.results) ? entry.results.find(r => r && r.service === service) : null;
+  if (!result) {
+    return '';
+  }
+  if (result.success === false || result.error) {
+    return `${colors.red}✗ ${result.error}${colors.reset}`;
+  }
+  return `${colors.green}✓ ${result.status || 'ok'}${colors.reset}`;
+}
+
+async function showHistory(options = {}) {
+  const { service, command, since, until, limit = 20 } = options;
+  
+  let entries;
+  try {
+    entries = readAuditEntries(auditLogPath(), {
+      service,
+      command,
+      since: since ? parseDateFlag(since, '--since') : null,
+      until: until ? parseDateFlag(until, '--until') : null
+    });
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== History (${auditLogPath()}) ===\n`, 'cyan', true);
+  
+  // Newest first
+  const shown = entries.slice(-limit).reverse();
+  if (shown.length === 0) {
+    log('No matching entries', 'yellow', true);
+    return shown;
+  }
+  
+  shown.forEach(entry => {
+    const when = new Date(entry.started).toLocaleString();
+    const who = entry.sudoUser ? `${entry.sudoUser} (sudo)` : entry.user;
+    const status = entry.exitCode === 0 ? `${colors.green}ok${colors.reset}` : `${colors.red}exit ${entry.exitCode}${colors.reset}`;
+    const serviceCount = Object.keys(entry.services || {}).length;
+    log(`${colors.blue}${entry.id}${colors.reset}  ${when}  ${who.padEnd(16)} ${[entry.command, ...entry.args].join(' ')}  (${serviceCount} service(s), ${status})`, 'reset', true);
+  });
+  
+  if (entries.length > shown.length) {
+    log(`\n${entries.length - shown.length} older entries not shown (use --limit=N)`, 'reset', true);
+  }
+  log('\nUse "history show <id>" for the before/after state of a run', 'reset', true);
+  
+  return shown;
+}
+
+async function showHistoryEntry(id) {
+  let entry;
+  try {
+    entry = findAuditEntry(auditLogPath(), id);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  if (!entry) {
+    log(`Error: No history entry '${id}' in ${auditLogPath()}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== History ${entry.id}: ${[entry.command, ...entry.args].join(' ')} ===\n`, 'cyan', true);
+  log(`Started:     ${new Date(entry.started).toLocaleString()}`, 'reset', true);
+  log(`Finished:    ${entry.finished ? new Date(entry.finished).toLocaleString() : 'unknown'}`, 'reset', true);
+  log(`User:        ${entry.user}${entry.sudoUser ? ` (sudo from ${entry.sudoUser})` : ''} on ${entry.host}`, 'reset', true);
+  log(`Environment: ${entry.environment}, repository root ${entry.repoRoot}`, 'reset', true);
+  log(`Exit code:   ${entry.exitCode}${entry.error ? ` (${entry.error})` : ''}`, entry.exitCode === 0 ? 'reset' : 'red', true);
+  
+  const format = state => state
+    ? `${state.branch} @ ${state.sha.slice(0, 8)}${state.dirty > 0 ? ` (${state.dirty} changed)` : ''}`
+    : 'missing';
+  
+  log('', 'reset', true);
+  for (const [service, { before, after }] of Object.entries(entry.services || {})) {
+    const changed = JSON.stringify(before) !== JSON.stringify(after);
+    log(`${colors.yellow}${service}${colors.reset} ${describeAuditOutcome(entry, service)}`, 'reset', true);
+    log(`  before: ${format(before)}`, 'reset', true);
+    log(`  after:  ${changed ? format(after) : 'unchanged'}`, 'reset', true);
+  }
+  
+  return entry;
+}
+
+async function exportLockManifest(file = DEFAULT_LOCK_FILE) {
+  log('\n=== Exporting Lock Manifest ===\n', 'cyan', true);
+  
+  const servicesToExport = getServicesToProcess();
+  if (!servicesToExport) {
+    return;
+  }
+  
+  const exported = await forEachService(servicesToExport, async (name, repoPath) => {
+    if (!fs.existsSync(repoPath)) {
+      return { service: name, error: 'Directory not found' };
+    }
+    
+    try {
+      let remote = null;
+      try {
+        remote = await gitCommand(repoPath, ['remote', 'get-url', 'origin']);
+      } catch {
+        // No origin remote; the entry can still be applied locally
+      }
+      
+      const entry = {
+        remote,
+        branch: await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']),
+        sha: await gitCommand(repoPath, ['rev-parse', 'HEAD'])
+      };
+      
+      let dirty = false;
+      try {
+        await gitCommand(repoPath, ['diff-index', '--quiet', 'HEAD', '--']);
+      } catch {
+        dirty = true;
+      }
+      
+      log(`${name.padEnd(14)} ${entry.branch} @ ${entry.sha.slice(0, 12)}${dirty ? `  ${colors.yellow}(uncommitted changes not pinned)${colors.reset}` : ''}`, 'reset', true);
+      return { service: name, entry };
+    } catch (error) {
+      return { service: name, error: error.message };
+    }
+  });
+  
+  const entries = {};
+  exported.filter(r => r.entry).forEach(r => {
+    entries[r.service] = r.entry;
+  });
+  const failed = exported.filter(r => r.error);
+  
+  failed.forEach(r => log(`${r.service.padEnd(14)} ${colors.red}skipped: ${r.error}${colors.reset}`, 'reset', true));
+  
+  const written = writeLockManifest(file, entries, {
+    repoRoot: REPO_ROOT,
+    environment: getEnvironment()
+  });
+  
+  log('\n' + '='.repeat(50), 'reset', true);
+  log(`Pinned ${Object.keys(entries).length} service(s) in ${written}`, 'green', true);
+  
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+  
+  return entries;
+}
+
+// Make sure a pinned commit is available locally, fetching it if needed
+async function ensureCommitAvailable(repoPath, sha) {
+  try {
+    await gitCommand(repoPath, ['cat-file', '-e', `${sha}^{commit}`]);
+    return;
+  } catch {
+    // Not fetched yet
+  }
+  
+  await gitCommand(repoPath, ['fetch', 'origin']);
+  try {
+    await gitCommand(repoPath, ['cat-file', '-e', `${sha}^{commit}`]);
+  } catch {
+    // Commits that are no longer on a branch can still be fetched by SHA
+    await gitCommand(repoPath, ['fetch', 'origin', sha]);
+  }
+}
+
+// Compare a service against its lock entry, returning a list of mismatches
+async function verifyLockedService(repoPath, entry, mode) {
+  const mismatches = [];
+  
+  const head = await gitCommand(repoPath, ['rev-parse', 'HEAD']);
+  if (head !== entry.sha) {
+    mismatches.push(`HEAD is ${head.slice(0, 12)}, expected ${entry.sha.slice(0, 12)}`);
+  }
+  
+  if (mode === 'branch') {
+    const branch = await gitCommand(repoPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    if (branch !== entry.branch) {
+      mismatches.push(`on ${branch}, expected ${entry.branch}`);
+    }
+  }
+  
+  if (entry.remote) {
+    let remote = null;
+    try {
+      remote = await gitCommand(repoPath, ['remote', 'get-url', 'origin']);
+    } catch {}
+    if (remote !== entry.remote) {
+      mismatches.push(`origin is ${remote || 'missing'}, expected ${entry.remote}`);
+    }
+  }
+  
+  return mismatches;
+}
+
+async function applyLockManifest(file, options = {}) {
+  const { mode = 'detached' } = options;
+  
+  if (!['detached', 'branch'].includes(mode)) {
+    log(`Error: Invalid mode '${mode}' (use detached or branch)`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const environment = getEnvironment();
+  if (environment === 'production' && !checkRoot()) {
+    log('Error: This script must be run as root (use sudo) on production servers', 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  let manifest;
+  try {
+    manifest = loadLockManifest(file);
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  log(`\n=== Applying Lock Manifest: ${manifest.file} (${mode}) ===\n`, 'cyan', true);
+  
+  const servicesToApply = getServicesToProcess();
+  if (!servicesToApply) {
+    return;
+  }
+  
+  const servicesInManifest = {};
+  for (const name of Object.keys(manifest.services)) {
+    if (servicesToApply[name]) {
+      servicesInManifest[name] = servicesToApply[name];
+    } else if (!serviceRegistry[name]) {
+      log(`Warning: '${name}' is not a registered service, skipping`, 'yellow', true);
+    }
+  }
+  
+  const results = await forEachService(servicesInManifest, async (name, repoPath) => {
+    const entry = manifest.services[name];
+    
+    if (!VERBOSE) {
+      progress(`${colors.yellow}${name}${colors.reset}... `);
+    } else {
+      log(`\nApplying ${name}: ${entry.branch} @ ${entry.sha.slice(0, 12)}`, 'yellow');
+    }
+    
+    let result;
+    if (!fs.existsSync(repoPath)) {
+      result = { service: name, success: false, error: 'Directory not found' };
+    } else {
+      try {
+        await ensureCommitAvailable(repoPath, entry.sha);
+        
+        if (mode === 'branch') {
+          result = await restoreServiceState(name, repoPath, { branch: entry.branch, sha: entry.sha, stash: null });
+        } else {
+          const stashed = await autoStash(repoPath, 'manifest apply');
+          await gitCommand(repoPath, ['checkout', '--detach', entry.sha]);
+          const notes = stashed ? [`local changes stashed as ${stashed.slice(0, 8)}`] : [];
+          result = { service: name, success: true, status: 'restored', branch: entry.branch, sha: entry.sha, stashed, notes };
+        }
+      } catch (error) {
+        result = { service: name, success: false, error: error.message };
+      }
+    }
+    
+    if (!VERBOSE) {
+      progress(result.success ? `${colors.green}✓${colors.reset}\n` : `${colors.red}✗${colors.reset}\n`);
+    } else if (!result.success) {
+      log(`Error: ${result.error}`, 'red');
+    }
+    return result;
+  });
+  
+  // Nothing was checked out, so there is nothing to verify
+  if (DRY_RUN) {
+    const failed = results.filter(r => !r.success);
+    log('\n' + '='.repeat(50), 'reset', true);
+    log(`Would apply ${results.length - failed.length} of ${results.length} service(s)`, failed.length > 0 ? 'red' : 'green', true);
+    failed.forEach(r => log(`  ✗ ${r.service}: ${r.error.split('\n')[0]}`, 'red', true));
+    if (failed.length > 0) {
+      process.exitCode = 1;
+    }
+    return results;
+  }
+  
+  // Verification pass
+  log('\n=== Verification ===\n', 'cyan', true);
+  
+  const verifications = await forEachService(servicesInManifest, async (name, repoPath) => {
+    try {
+      return fs.existsSync(repoPath) ? await verifyLockedService(repoPath, manifest.services[name], mode) : ['directory not found'];
+    } catch (error) {
+      return [error.message];
+    }
+  });
+  
+  let mismatched = 0;
+  results.forEach((result, index) => {
+    const entry = manifest.services[result.service];
+    const mismatches = verifications[index];
+    result.verified = mismatches.length === 0;
+    result.mismatches = mismatches;
+    
+    if (result.verified) {
+      const notes = result.notes && result.notes.length > 0 ? ` (${result.notes.join(', ')})` : '';
+      log(`  ✓ ${result.service} ${entry.branch} @ ${entry.sha.slice(0, 12)}${notes}`, 'green', true);
+    } else {
+      mismatched++;
+      log(`  ✗ ${result.service}: ${mismatches.join('; ')}`, 'red', true);
+      if (result.error) {
+        log(`      ${result.error.split('\n')[0]}`, 'red', true);
+      }
+    }
+  });
+  
+  log('\n' + '='.repeat(50), 'reset', true);
+  if (mismatched === 0) {
+    log(`All ${results.length} service(s) match the manifest`, 'green', true);
+  } else {
+    log(`${mismatched} of ${results.length} service(s) do not match the manifest`, 'red', true);
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+// Locate a binary (absolute path or PATH lookup) and read its version
+async function probeTool(binary, versionArgs = '--version') {
+  let location = binary;
+  if (path.isAbsolute(binary)) {
+    if (!fs.existsSync(binary)) {
+      return { found: false };
+    }
+  } else {
+    try {
+      // command -v is a shell builtin; the name is passed as $1, never parsed
+      location = await execCommand(['sh', '-c', 'command -v "$1"', 'sh', binary]);
+    } catch {
+      return { found: false };
+    }
+  }
+  
+  try {
+    const output = await execCommand([location, versionArgs], { timeout: 15000 });
+    return { found: true, location, version: output.split('\n')[0] };
+  } catch {
+    return { found: true, location, version: 'version unknown' };
+  }
+}
+
+async function runDoctor() {
+  log('\n=== REN360 Doctor ===\n', 'cyan', true);
+  
+  const environment = getEnvironment();
+  const isProduction = environment === 'production';
+  const checks = [];
+  const add = (category, name, status, detail, hint = null) => {
+    checks.push({ category, name, status, detail, hint });
+  };
+  
+  log(`Environment: ${environment}`, 'reset', true);
+  log(`Repository root: ${REPO_ROOT}`, 'reset', true);
+  
+  // Toolchain
+  const enabled = Object.values(serviceRegistry).filter(definition => definition.enabled);
+  const usesComposer = enabled.some(definition => definition.packageManager === 'composer');
+  const usesNpm = enabled.some(definition => definition.packageManager === 'npm');
+  
+  const tools = [
+    { name: 'git', required: true, hint: 'Install git (apt install git)' },
+    { name: 'gh', hint: 'Install GitHub CLI for PR commands: https://cli.github.com/' },
+    { name: 'rg', hint: 'Install ripgrep for the search command (apt install ripgrep)' },
+    { name: 'node', required: true, hint: 'Install Node.js 14 or newer' },
+    { name: 'npm', required: usesNpm, hint: 'Install npm for Node.js services' }
+  ];
+  
+  if (usesComposer) {
+    tools.push({ name: 'composer', required: !isProduction || enabled.some(d => d.composerBinary === 'composer'), hint: 'Install composer: https://getcomposer.org/download/' });
+  }
+  
+  // Production uses the PHP and composer binaries named in the service registry
+  const registryBinaries = new Set();
+  enabled.forEach(definition => {
+    [definition.phpBinary, definition.composerBinary]
+      .filter(binary => binary && binary !== 'composer')
+      .forEach(binary => registryBinaries.add(binary));
+  });
+  registryBinaries.forEach(binary => {
+    tools.push({
+      name: binary,
+      versionArgs: /php/.test(path.basename(binary)) && !/composer/.test(binary) ? '-v' : '--version',
+      required: true,
+      hint: `Install ${path.basename(binary)} or fix the binary path in services.json`,
+      productionOnly: true
+    });
+  });
+  
+  tools.push({ name: 'supervisorctl', versionArgs: 'version', required: false, hint: 'Install supervisor (needed by the deploy scripts)', productionOnly: true });
+  
+  const toolsToProbe = tools.filter(tool => isProduction || !tool.productionOnly);
+  const probes = await runParallel(toolsToProbe, tool => probeTool(tool.name, tool.versionArgs), { jobs: JOBS });
+  
+  toolsToProbe.forEach((tool, index) => {
+    const probe = probes[index];
+    if (probe.found) {
+      add('Toolchain', tool.name, 'pass', probe.version);
+    } else {
+      add('Toolchain', tool.name, tool.required ? 'fail' : 'warn', 'not found', tool.hint);
+    }
+  });
+  
+  const gitProbe = probes[toolsToProbe.findIndex(tool => tool.name === 'git')];
+  const version = gitProbe.found ? await getGitVersion() : null;
+  if (version && !versionAtLeast(version, MERGE_TREE_GIT_VERSION)) {
+    add('Toolchain', 'git version', 'warn', `${version.join('.')} (conflicts needs ${MERGE_TREE_GIT_VERSION.join('.')} or later)`, 'Upgrade git to use the conflicts command');
+  }
+  
+  // Permissions
+  if (isProduction) {
+    if (!checkRoot()) {
+      add('Permissions', 'root', 'fail', 'not running as root', 'Run mutating commands with sudo on production');
+    } else {
+      add('Permissions', 'root', 'pass', 'running as root');
+    }
+    
+    try {
+      await execCommand(['sudo', '-n', '-u', 'www-data', 'true'], { timeout: 15000 });
+      add('Permissions', 'sudo -u www-data', 'pass', 'works without a password');
+    } catch {
+      add('Permissions', 'sudo -u www-data', 'fail', 'cannot run commands as www-data', 'Run with sudo, and make sure the www-data user exists');
+    }
+  }
+  
+  // Repositories
+  const servicesToCheck = getServicesToProcess() || {};
+  const repoChecks = await forEachService(servicesToCheck, async (name, repoPath) => {
+    if (!fs.existsSync(repoPath)) {
+      return ['fail', `${repoPath} not found`, 'Run node repo-manager.js bootstrap or fix its directory in services.json'];
+    }
+    
+    try {
+      await gitCommand(repoPath, ['rev-parse', '--git-dir']);
+    } catch {
+      return ['fail', 'not a git repository', `Check ${repoPath}, or set "enabled": false for this service`];
+    }
+    
+    try {
+      await gitCommand(repoPath, ['remote', 'get-url', 'origin']);
+    } catch {
+      return ['fail', 'no origin remote', `git -C ${repoPath} remote add origin <url>`];
+    }
+    
+    try {
+      const head = await gitCommand(repoPath, ['symbolic-ref', '--short', 'refs/remotes/origin/HEAD']);
+      return ['pass', `origin/HEAD -> ${head.replace(/^origin\//, '')}`];
+    } catch {
+      return ['warn', 'origin/HEAD is not set (pr cannot pick a base branch)', `git -C ${repoPath} remote set-head origin --auto`];
+    }
+  });
+  Object.keys(servicesToCheck).forEach((name, index) => add('Repositories', name, ...repoChecks[index]));
+  
+  // GitHub
+  if (process.env.GH_TOKEN) {
+    add('GitHub', 'GH_TOKEN', 'pass', 'set');
+  } else {
+    add('GitHub', 'GH_TOKEN', 'warn', 'not set', 'node repo-manager.js setup-github');
+  }
+  
+  if ((await probeTool('gh')).found) {
+    // The same user and token the PR commands use (www-data when run as root)
+    const ghUser = checkRoot() ? ' (as www-data)' : '';
+    try {
+      const login = await execCommand(ghInvocation(['api', 'user', '--jq', '.login']), { timeout: 20000 });
+      add('GitHub', 'gh auth', 'pass', `authenticated as ${login}${ghUser}`);
+    } catch (error) {
+      add('GitHub', 'gh auth', 'fail', `gh cannot authenticate${ghUser}`, process.env.GH_TOKEN
+        ? 'GH_TOKEN is invalid or expired; run node repo-manager.js setup-github'
+        : 'Run gh auth login or node repo-manager.js setup-github');
+    }
+  }
+  
+  // AI
+  const apiKey = loadApiKey && loadApiKey();
+  if (!AIAgent) {
+    add('AI', 'AI agent', 'warn', 'lib/ai-agent.js could not be loaded', 'Check the lib/ directory of this tool');
+  } else if (apiKey) {
+    add('AI', 'Anthropic API key', 'pass', `configured (model ${getModel()})`);
+  } else {
+    add('AI', 'Anthropic API key', 'warn', 'not configured (review --analyze disabled)', 'node repo-manager.js setup-ai');
+  }
+  
+  // Report
+  const symbols = { pass: '✓', warn: '⚠', fail: '✗' };
+  const statusColors = { pass: 'green', warn: 'yellow', fail: 'red' };
+  const maxNameLength = Math.max(...checks.map(check => check.name.length));
+  let currentCategory = null;
+  
+  checks.forEach(check => {
+    if (check.category !== currentCategory) {
+      currentCategory = check.category;
+      log(`\n${colors.cyan}${currentCategory}${colors.reset}`, 'reset', true);
+    }
+    
+    const color = colors[statusColors[check.status]];
+    log(`  ${color}${symbols[check.status]}${colors.reset} ${check.name.padEnd(maxNameLength)}  ${check.detail}`, 'reset', true);
+    if (check.hint && check.status !== 'pass') {
+      log(`      → ${check.hint}`, 'reset', true);
+    }
+  });
+  
+  const passed = checks.filter(check => check.status === 'pass').length;
+  const warnings = checks.filter(check => check.status === 'warn').length;
+  const failures = checks.filter(check => check.status === 'fail').length;
+  
+  log('\n' + '='.repeat(50), 'reset', true);
+  log(`${colors.green}${passed} passed${colors.reset}, ${colors.yellow}${warnings} warnings${colors.reset}, ${colors.red}${failures} failed${colors.reset}`, 'reset', true);
+  
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+  
+  return checks;
+}
+
+async function listServices() {
+  log('\n=== Registered Services ===\n', 'cyan', true);
+  
+  const entries = Object.entries(serviceRegistry);
+  if (entries.length === 0) {
+    log(`No services registered. Add one with: node repo-manager.js services add <name>`, 'yellow', true);
+    return [];
+  }
+  
+  const maxNameLength = Math.max(...entries.map(([name]) => name.length));
+  const maxDirLength = Math.max(...entries.map(([, def]) => def.directory.length));
+  const results = [];
+  
+  entries.forEach(([name, definition]) => {
+    const servicePath = resolveServicePath(REPO_ROOT, definition);
+    const exists = fs.existsSync(servicePath);
+    const tooling = definition.packageManager === 'composer'
+      ? [definition.phpBinary, definition.composerBinary].filter(Boolean).join(' ')
+      : definition.packageManager;
+    
+    results.push({ service: name, path: servicePath, exists, ...definition });
+    
+    const state = !definition.enabled
+      ? `${colors.magenta}disabled${colors.reset}`
+      : exists ? `${colors.green}✓${colors.reset}` : `${colors.red}missing${colors.reset}`;
+    
+    const tags = definition.tags.length > 0 ? `  ${colors.blue}[${definition.tags.join(', ')}]${colors.reset}` : '';
+    
+    log(`${name.padEnd(maxNameLength)}  ${definition.directory.padEnd(maxDirLength)}  ${definition.runtime.padEnd(4)}  ${tooling}  ${state}${tags}`, 'reset', true);
+    if (VERBOSE) {
+      log(`  deploy target: ${definition.deployTarget || 'none'}`, 'reset', true);
+      log(`  remote:        ${resolveRemoteUrl(definition, CONFIG.get('remoteBase')) || 'none'}`, 'reset', true);
+      log(`  defined in:    ${serviceSources[name]}`, 'reset', true);
+    }
+  });
+  
+  const groupEntries = Object.entries(serviceGroups);
+  if (groupEntries.length > 0) {
+    log('\nGroups:', 'reset', true);
+    groupEntries.forEach(([group, members]) => {
+      log(`  ${colors.yellow}${group}${colors.reset}: ${members.join(', ')}`, 'reset', true);
+    });
+  }
+  
+  log('', 'reset', true);
+  log(`Registry: ${REGISTRY_FILE}`, 'blue', true);
+  
+  return results;
+}
+
+async function addService(name, options = {}) {
+  if (!name) {
+    log('Error: Please specify a service name', 'red', true);
+    return;
+  }
+  
+  if (serviceRegistry[name] && !options.force) {
+    log(`Error: Service '${name}' already exists (use --force to replace it)`, 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  const definition = normalizeServiceDefinition(name, {
+    directory: options.directory || defaultDirectory(name),
+    runtime: options.runtime,
+    phpBinary: options.phpBinary,
+    composerBinary: options.composerBinary,
+    packageManager: options.packageManager,
+    deployTarget: options.deployTarget,
+    remote: options.remote,
+    defaultBranch: options.defaultBranch,
+    baseBranch: options.baseBranch
+  });
+  
+  const problems = validateServiceDefinition(name, definition);
+  if (problems.length > 0) {
+    log(`Error: Invalid definition for '${name}':`, 'red', true);
+    problems.forEach(problem => log(`  ✗ ${problem}`, 'red', true));
+    process.exitCode = 1;
+    return;
+  }
+  
+  // New services are enabled and have no hooks, so both are left out of the registry
+  const { enabled, hooks, ...stored } = definition;
+  saveServiceDefinition(name, stored);
+  
+  log(`✓ Added service '${name}' to ${REGISTRY_FILE}`, 'green', true);
+  
+  const servicePath = resolveServicePath(REPO_ROOT, definition);
+  if (!fs.existsSync(servicePath)) {
+    log(`⚠ ${servicePath} does not exist yet`, 'yellow', true);
+  }
+  
+  return { service: name, ...definition };
+}
+
+async function validateServices() {
+  log('\n=== Validating Service Registry ===\n', 'cyan', true);
+  
+  const environment = getEnvironment();
+  const results = [];
+  
+  for (const [name, definition] of Object.entries(serviceRegistry)) {
+    const errors = validateServiceDefinition(name, definition);
+    const warnings = [];
+    
+    if (definition.enabled) {
+      const servicePath = resolveServicePath(REPO_ROOT, definition);
+      if (!fs.existsSync(servicePath)) {
+        warnings.push(`Directory not found: ${servicePath}`);
+      } else if (!fs.existsSync(path.join(servicePath, '.git'))) {
+        warnings.push(`Not a git repository: ${servicePath}`);
+      }
+      
+      // Binaries only matter where they are actually used
+      if (environment === 'production') {
+        [definition.phpBinary, definition.composerBinary]
+          .filter(binary => binary && path.isAbsolute(binary) && !fs.existsSync(binary))
+          .forEach(binary => warnings.push(`Binary not found: ${binary}`));
+      }
+    }
+    
+    results.push({ service: name, valid: errors.length === 0, errors, warnings });
+    
+    if (errors.length > 0) {
+      log(`${colors.red}✗ ${name}${colors.reset}`, 'reset', true);
+    } else if (warnings.length > 0) {
+      log(`${colors.yellow}⚠ ${name}${colors.reset}${definition.enabled ? '' : ' (disabled)'}`, 'reset', true);
+    } else {
+      log(`${colors.green}✓ ${name}${colors.reset}${definition.enabled ? '' : ' (disabled)'}`, 'reset', true);
+    }
+    errors.forEach(error => log(`    ${error}`, 'red', true));
+    warnings.forEach(warning => log(`    ${warning}`, 'yellow', true));
+  }
+  
+  const groupProblems = validateGroups(serviceGroups, serviceRegistry);
+  const registry = { services: serviceRegistry, groups: serviceGroups };
+  for (const [group, hooks] of Object.entries(serviceHooks)) {
+    if (groupMembers(registry, group).length === 0) {
+      groupProblems.push(`Hooks defined for unknown group or tag '${group}'`);
+    }
+    validateHooks(hooks).forEach(problem => groupProblems.push(`Group '${group}' hooks: ${problem}`));
+  }
+  if (groupProblems.length > 0) {
+    log('\nGroups:', 'reset', true);
+    groupProblems.forEach(problem => log(`  ✗ ${problem}`, 'red', true));
+    process.exitCode = 1;
+  }
+  
+  const invalid = results.filter(r => !r.valid).length;
+  const withWarnings = results.filter(r => r.valid && r.warnings.length > 0).length;
+  
+  log('\n' + '='.repeat(50), 'reset', true);
+  log(`Checked ${results.length} service(s): ${colors.red}${invalid} invalid${colors.reset}, ${colors.yellow}${withWarnings} with warnings${colors.reset}`, 'reset', true);
+  
+  if (invalid > 0) {
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+// Clone every selected service whose directory is missing
+async function bootstrapServices(serviceName = null, options = {}) {
+  const { install = false, branch = null } = options;
+  
+  // Only require root on production servers
+  const environment = getEnvironment();
+  if (environment === 'production' && !checkRoot()) {
+    log('Error: This script must be run as root (use sudo) on production servers', 'red', true);
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (branch) {
+    try {
+      validateBranchName(branch);
+    } catch (error) {
+      log(`Error: ${error.message}`, 'red', true);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  
+  log('\n=== Bootstrapping Services ===\n', 'cyan', true);
+  
+  const servicesToClone = getServicesToProcess(serviceName);
+  if (!servicesToClone) {
+    return;
+  }
+  
+  if (!fs.existsSync(REPO_ROOT) && !planCommand(['mkdir', '-p', REPO_ROOT])) {
+    fs.mkdirSync(REPO_ROOT, { recursive: true });
+    log(`✓ Created repository root ${REPO_ROOT}`, 'green', true);
+  }
+  
+  const remoteBase = CONFIG.get('remoteBase');
+  const total = Object.keys(servicesToClone).length;
+  
+  const results = await forEachService(servicesToClone, async (name, servicePath, index) => {
+    const definition = serviceRegistry[name];
+    const target = servicePath.replace(/\/+$/, '');
+    const progress = `[${index + 1}/${total}]`;
+    
+    if (fs.existsSync(path.join(target, '.git'))) {
+      log(`${progress} ${name}: ${colors.green}already cloned${colors.reset}`, 'reset', true);
+      return { service: name, status: 'present' };
+    }
+    
+    if (fs.existsSync(target) && fs.readdirSync(target).length > 0) {
+      log(`${progress} ${name}: ${colors.yellow}⚠ ${target} exists but is not a git repository${colors.reset}`, 'reset', true);
+      return { service: name, status: 'skipped', error: 'Directory exists but is not a git repository' };
+    }
+    
+    const remote = resolveRemoteUrl(definition, remoteBase);
+    if (!remote) {
+      log(`${progress} ${name}: ${colors.yellow}⚠ no remote configured${colors.reset}`, 'reset', true);
+      return { service: name, status: 'skipped', error: 'No remote configured' };
+    }
+    
+    const checkoutBranch = branch || definition.defaultBranch;
+    log(`${progress} ${name}: cloning ${remote}${checkoutBranch ? ` (${checkoutBranch})` : ''}...`, 'reset', true);
+    
+    try {
+      const branchOption = checkoutBranch ? ['--branch', checkoutBranch] : [];
+      await gitCommand(REPO_ROOT, ['clone', ...branchOption, '--', remote, target]);
+      if (DRY_RUN) {
+        // Nothing was cloned, so there is no checkout to read or install into
+        if (install) {
+          log(`${progress} ${name}: dependencies would be installed`, 'reset', true);
+        }
+        return { service: name, status: 'cloned', remote, branch: checkoutBranch || 'default branch' };
+      }
+      const clonedBranch = await gitCommand(target, ['rev-parse', '--abbrev-ref', 'HEAD']);
+      log(`${progress} ${name}: ${colors.green}✓ cloned on ${clonedBranch}${colors.reset}`, 'reset', true);
+      
+      if (install) {
+        await updateDependencies(name, servicePath);
+      }
+      
+      return { service: name, status: 'cloned', remote, branch: clonedBranch };
+    } catch (error) {
+      const message = error.message.split('\n').filter(Boolean).pop();
+      log(`${progress} ${name}: ${colors.red}✗ ${message}${colors.reset}`, 'reset', true);
+      return { service: name, status: 'failed', remote, error: message };
+    }
+  });
+  
+  // Summary
+  log('\n=== Bootstrap Summary ===\n', 'cyan', true);
+  
+  const cloned = results.filter(r => r.status === 'cloned');
+  const present = results.filter(r => r.status === 'present');
+  const skipped = results.filter(r => r.status === 'skipped');
+  const failed = results.filter(r => r.status === 'failed');
+  
+  if (cloned.length > 0) {
+    log(`${DRY_RUN ? 'Would clone' : 'Cloned'}: ${cloned.length} service(s)`, 'green', true);
+    cloned.forEach(r => log(`  ✓ ${r.service} -> ${r.branch}`, 'green', true));
+  }
+  
+  if (present.length > 0) {
+    log(`Already present: ${present.length} service(s)`, 'reset', true);
+  }
+  
+  if (skipped.length > 0) {
+    log(`\nSkipped: ${skipped.length} service(s)`, 'yellow', true);
+    skipped.forEach(r => log(`  - ${r.service}: ${r.error}`, 'yellow', true));
+    if (skipped.some(r => r.error === 'No remote configured')) {
+      log('  Set "remote" in services.json or a clone URL prefix with: node repo-manager.js config set remoteBase git@github.com:ORG', 'reset', true);
+    }
+  }
+  
+  if (failed.length > 0) {
+    log(`\nFailed: ${failed.length} service(s)`, 'red', true);
+    failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red', true));
+    process.exitCode = 1;
+  }
+  
+  return results;
+}
+
+// Describe where a setting came from, e.g. "local (/path/.ren360rc)"
+function describeConfigSource(entry) {
+  if (!entry.layer) {
+    return 'not set';
+  }
+  const layer = entry.layer === 'profile' ? `profile '${CONFIG.profile}'` : entry.layer;
+  return entry.file ? `${layer} (${entry.file})` : layer;
+}
+
+function maskSecret(value) {
+  const text = String(value);
+  return text.length <= 8 ? '********' : `${text.slice(0, 4)}…${text.slice(-4)}`;
+}
+
+async function showConfig(options = {}) {
+  const { showSecrets = false } = options;
+  
+  log('\n=== Effective Configuration ===\n', 'cyan', true);
+  
+  const entries = CONFIG.describe();
+  const display = entries.map(entry => ({
+    ...entry,
+    display: entry.value === undefined ? '-' : entry.secret && !showSecrets ? maskSecret(entry.value) : String(entry.value)
+  }));
+  
+  const maxKeyLength = Math.max(...display.map(entry => entry.key.length));
+  const maxValueLength = Math.max(...display.map(entry => entry.display.length));
+  
+  display.forEach(entry => {
+    const color = entry.layer === 'default' || !entry.layer ? 'reset' : 'green';
+    log(`${entry.key.padEnd(maxKeyLength)}  ${colors[color]}${entry.display.padEnd(maxValueLength)}${colors.reset}  ${colors.blue}${describeConfigSource(entry)}${colors.reset}`, 'reset', true);
+    if (VERBOSE) {
+      log(`${''.padEnd(maxKeyLength)}  ${entry.description}`, 'reset', true);
+    }
+  });
+  
+  log('\nPrecedence: flag > env > profile > local (./.ren360rc) > home (~/.ren360rc) > dotenv (.env) > default', 'reset', true);
+  
+  // Results (--json) are masked the same way as the table
+  return entries.map(entry => entry.secret && !showSecrets && entry.value !== undefined
+    ? { ...entry, value: maskSecret(entry.value) }
+    : entry);
+}
+
+async function getConfigSetting(key, layer = null) {
+  try {
+    if (layer) {
+      if (!CONFIG.layers[layer]) {
+        throw new Error(`Unknown layer '${layer}'`);
+      }
+      CONFIG.resolve(key);
+      const value = CONFIG.layers[layer][key];
+      if (OUTPUT_FORMAT === 'text') {
+        console.log(value === undefined ? '' : String(value));
+      }
+      return value === undefined ? null : value;
+    }
+    
+    const entry = CONFIG.resolve(key);
+    if (OUTPUT_FORMAT === 'text') {
+      console.log(entry.value === undefined ? '' : String(entry.value));
+    }
+    log(`source: ${describeConfigSource(entry)}`, 'blue');
+    return entry.value === undefined ? null : entry.value;
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
+  }
+}
+
+async function setConfigSetting(key, value, layer = 'local') {
+  try {
+    const file = setConfigValue(CONFIG, key, value, layer);
+    log(value === undefined
+      ? `✓ Removed ${key} from ${file}`
+      : `✓ Set ${key} in ${file}`, 'green', true);
+    
+    // Warn when a higher layer still overrides the value just written
+    CONFIG = loadConfig({ argv: process.argv.slice(2) });
+    const effective = CONFIG.resolve(key);
+    if (value !== undefined && effective.layer !== layer) {
+      log(`⚠ ${key} is still overridden by ${describeConfigSource(effective)}`, 'yellow', true);
     }
+    return file;
+  } catch (error) {
+    log(`Error: ${error.message}`, 'red', true);
+    process.exitCode = 1;
   }
+}
+
+function describeProfile(definition) {
+  const parts = [];
+  if (definition.repoRoot) parts.push(`root ${definition.repoRoot}`);
+  if (definition.environment) parts.push(definition.environment);
+  if (definition.baseBranch) parts.push(`base ${definition.baseBranch}`);
+  if (definition.services) parts.push(`services ${definition.services.join(',')}`);
+  if (definition.groups) parts.push(`groups ${definition.groups.join(',')}`);
+  if (definition.exclude) parts.push(`excluding ${definition.exclude.join(',')}`);
+  return parts.length > 0 ? parts.join(', ') : '(no overrides)';
+}
+
+async function listProfiles() {
+  log('\n=== Profiles ===\n', 'cyan', true);
   
-  // Show quick review commands
-  log(`\n${colors.cyan}=== Quick Review Commands ===${colors.reset}`, 'reset', true);
+  const names = Object.keys(CONFIG.profiles).sort();
+  if (names.length === 0) {
+    log('No profiles defined. Create one with: node repo-manager.js setup-config', 'yellow', true);
+    return [];
+  }
   
-  // Group tickets that have multiple PRs
-  const multiServiceTickets = Object.entries(prsByTicket).filter(([_, prs]) => prs.length > 1);
+  const maxNameLength = Math.max(...names.map(name => name.length));
+  names.forEach(name => {
+    const { definition, file } = CONFIG.profiles[name];
+    const marker = name === CONFIG.profile ? `${colors.green}*` : ' ';
+    log(`${marker} ${name.padEnd(maxNameLength)}${colors.reset}  ${describeProfile(definition)}`, 'reset', true);
+    if (definition.description) {
+      log(`  ${''.padEnd(maxNameLength)}  ${definition.description}`, 'reset', true);
+    }
+    if (VERBOSE) {
+      log(`  ${''.padEnd(maxNameLength)}  ${colors.blue}${file}${colors.reset}`, 'reset', true);
+    }
+  });
   
-  if (multiServiceTickets.length > 0) {
-    log(`\nMulti-service tickets (use AI review):`, 'reset', true);
-    multiServiceTickets.forEach(([ticket, prs]) => {
-      const ticketNum = ticket.replace('REN-', '');
-      log(`  node repo-manager.js review ${ticketNum} --analyze    # Review all ${prs.length} PRs for ${ticket}`, 'reset', true);
-    });
+  if (CONFIG.profile) {
+    log(`\nActive profile: ${CONFIG.profile} (${describeConfigSource(CONFIG.resolve('profile'))})`, 'reset', true);
   }
   
-  return { allPRs, prsByTicket };
+  return names;
 }
 
-async function createBranch(ticketNumber, serviceName = null) {
-  // Only require root on production servers
-  const environment = getEnvironment();
-  if (environment === 'production' && !checkRoot()) {
-    log('Error: This script must be run as root (use sudo) on production servers', 'red');
-    process.exit(1);
+// Make a profile the default by storing "profile" in a .ren360rc file;
+// a null name clears it
+async function useProfile(name, layer = 'local') {
+  if (name && !CONFIG.profiles[name]) {
+    const known = Object.keys(CONFIG.profiles);
+    log(`Error: Unknown profile '${name}'${known.length > 0 ? ` (known: ${known.join(', ')})` : ''}`, 'red', true);
+    process.exitCode = 1;
+    return;
   }
   
-  const branchName = `REN-${ticketNumber}`;
-  log(`\n=== Creating Branch: ${branchName} from dev ===\n`, 'cyan');
+  if (layer === 'dotenv') {
+    log('Error: The active profile is stored in .ren360rc (use --layer=local or --layer=home)', 'red', true);
+    process.exitCode = 1;
+    return;
+  }
   
-  const servicesToUpdate = serviceName 
-    ? { [serviceName]: services[serviceName] }
-    : services;
+  return setConfigSetting('profile', name || undefined, layer);
+}
+
+// Interactive create/edit of a profile, used by setupRepoConfig
+async function editProfileInteractive(question) {
+  const names = Object.keys(CONFIG.profiles).sort();
+  if (names.length > 0) {
+    log(`\nExisting profiles: ${names.join(', ')}`, 'reset', true);
+  }
   
-  if (serviceName && !services[serviceName]) {
-    log(`Error: Service '${serviceName}' not found`, 'red');
+  const name = (await question('Profile name to create or edit: ')).trim();
+  if (!name) {
+    log('\nConfiguration cancelled.', 'yellow', true);
     return;
   }
   
-  const results = [];
+  const existing = CONFIG.profiles[name];
+  const current = existing ? existing.definition : {};
+  const ask = async (label, fallback) => {
+    const answer = (await question(`${label}${fallback ? ` [${fallback}]` : ''}: `)).trim();
+    return answer === '-' ? undefined : (answer || fallback || undefined);
+  };
+  const toList = (value) => value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+  
+  log(existing ? `\nEditing profile '${name}' from ${existing.file}` : `\nCreating profile '${name}'`, 'cyan', true);
+  log('Press Enter to keep the value in brackets, or "-" to clear it.', 'reset', true);
+  
+  const repoRoot = await ask('Repository root', current.repoRoot || REPO_ROOT);
+  const environment = await ask('Environment (development/production)', current.environment || getEnvironment());
+  const baseBranch = await ask('Base branch for new branches', current.baseBranch);
+  const servicesAnswer = await ask('Services (comma-separated, empty for all)', current.services && current.services.join(','));
+  const groupsAnswer = await ask('Groups or tags (comma-separated)', current.groups && current.groups.join(','));
+  const excludeAnswer = await ask('Excluded services (comma-separated)', current.exclude && current.exclude.join(','));
+  
+  const definition = {};
+  if (current.description) definition.description = current.description;
+  if (repoRoot) definition.repoRoot = path.resolve(repoRoot.replace(/^~(?=$|\/)/, os.homedir()));
+  if (environment) definition.environment = environment.toLowerCase();
+  if (baseBranch) definition.baseBranch = baseBranch;
+  if (toList(servicesAnswer)) definition.services = toList(servicesAnswer);
+  if (toList(groupsAnswer)) definition.groups = toList(groupsAnswer);
+  if (toList(excludeAnswer)) definition.exclude = toList(excludeAnswer);
+  
+  const unknown = [...(definition.services || []), ...(definition.exclude || [])]
+    .filter(service => !serviceRegistry[service]);
+  if (unknown.length > 0) {
+    log(`⚠ Unknown service(s): ${unknown.join(', ')}`, 'yellow', true);
+  }
   
-  for (const [name, path] of Object.entries(servicesToUpdate)) {
-    log(`\n${colors.yellow}Creating branch for ${name}...${colors.reset}`);
-    
-    try {
-      // Check if directory exists
-      if (!fs.existsSync(path)) {
-        results.push({ service: name, success: false, error: 'Directory not found' });
-        continue;
-      }
-      
-      // Get current branch
-      const currentBranch = gitCommand(path, 'rev-parse --abbrev-ref HEAD');
-      log(`Current branch: ${currentBranch}`);
-      
-      // Fetch latest changes
-      log('Fetching latest changes...');
-      gitCommand(path, 'fetch');
-      
-      // Checkout dev branch first
-      log('Checking out dev branch...');
-      gitCommand(path, 'checkout dev');
-      
-      // Pull latest dev changes
-      log('Pulling latest dev changes...');
-      gitCommand(path, 'pull');
-      
-      // Create and checkout new branch
-      log(`Creating branch ${branchName}...`);
-      try {
-        gitCommand(path, `checkout -b ${branchName}`);
-        log(`${colors.green}Success: ${name} - created branch ${branchName}${colors.reset}`);
-        results.push({ service: name, success: true, branch: branchName });
-      } catch (error) {
-        // Branch might already exist
-        if (error.message.includes('already exists')) {
-          log(`Branch ${branchName} already exists, checking it out...`, 'yellow');
-          gitCommand(path, `checkout ${branchName}`);
-          results.push({ service: name, success: true, branch: branchName, existing: true });
-        } else {
-          throw error;
-        }
-      }
-      
-    } catch (error) {
-      log(`${colors.red}Error: ${error.message}${colors.reset}`);
-      results.push({ service: name, success: false, error: error.message });
-    }
-    
-    log('----------------------------------------');
+  const defaultLocation = existing && existing.file === CONFIG.files.home ? '2' : '1';
+  log('\nWhere would you like to save the profile?', 'reset', true);
+  log('1. Current directory (.ren360rc)', 'reset', true);
+  log('2. Home directory (~/.ren360rc)', 'reset', true);
+  const location = await question(`\nSelect location (1-2, default: ${defaultLocation}): `) || defaultLocation;
+  if (location !== '1' && location !== '2') {
+    log('\nInvalid option. Configuration cancelled.', 'yellow', true);
+    return;
   }
+  const rcPath = location === '1' ? CONFIG.files.local : CONFIG.files.home;
   
-  // Summary
-  log('\n=== Branch Creation Summary ===\n', 'cyan');
+  try {
+    saveProfile(rcPath, name, definition);
+  } catch (error) {
+    log(`✗ ${error.message}`, 'red', true);
+    return;
+  }
+  log(`\n✓ Profile '${name}' saved to ${rcPath}`, 'green', true);
   
-  const successful = results.filter(r => r.success);
-  const failed = results.filter(r => !r.success);
+  if (CONFIG.profile !== name) {
+    const activate = await question(`Make '${name}' the active profile? (y/N): `);
+    if (activate.toLowerCase() === 'y') {
+      writeRcValues(rcPath, { profile: name });
+      log(`✓ Active profile set in ${rcPath}`, 'green', true);
+    }
+  }
+}
+
+async function removeProfileInteractive(question) {
+  const names = Object.keys(CONFIG.profiles).sort();
+  log(`\nExisting profiles: ${names.join(', ')}`, 'reset', true);
   
-  if (successful.length > 0) {
-    log(`Successfully created/checked out: ${successful.length} service(s)`, 'green');
-    successful.forEach(r => {
-      const status = r.existing ? '(existing)' : '(new)';
-      log(`  ✓ ${r.service} -> ${r.branch} ${status}`, 'green');
-    });
+  const name = (await question('Profile name to remove: ')).trim();
+  if (!CONFIG.profiles[name]) {
+    log(name ? `\nUnknown profile '${name}'.` : '\nConfiguration cancelled.', 'yellow', true);
+    return;
   }
   
-  if (failed.length > 0) {
-    log(`\nFailed to create branch: ${failed.length} service(s)`, 'red');
-    failed.forEach(r => log(`  ✗ ${r.service}: ${r.error}`, 'red'));
+  const { file } = CONFIG.profiles[name];
+  const confirm = await question(`Remove profile '${name}' from ${file}? (y/N): `);
+  if (confirm.toLowerCase() !== 'y') {
+    log('\nConfiguration cancelled.', 'yellow', true);
+    return;
   }
   
-  return results;
+  saveProfile(file, name, undefined);
+  // Don't leave a file pointing at a profile that no longer exists
+  [CONFIG.files.local, CONFIG.files.home].forEach(rcPath => {
+    if (fs.existsSync(rcPath) && JSON.parse(fs.readFileSync(rcPath, 'utf8')).profile === name) {
+      writeRcValues(rcPath, { profile: undefined });
+    }
+  });
+  log(`\n✓ Profile '${name}' removed`, 'green', true);
 }
 
 async function setupRepoConfig() {
@@ -1749,7 +4937,25 @@ async function setupRepoConfig() {
   const question = (query) => new Promise((resolve) => rl.question(query, resolve));
   
   try {
-    log('This tool will help you configure the repository root directory.', 'reset', true);
+    const hasProfiles = Object.keys(CONFIG.profiles).length > 0;
+    log('What would you like to configure?', 'reset', true);
+    log('1. Default repository root and environment', 'reset', true);
+    log('2. Create or edit a profile', 'reset', true);
+    if (hasProfiles) {
+      log('3. Remove a profile', 'reset', true);
+    }
+    
+    const mode = await question(`\nSelect option (1-${hasProfiles ? 3 : 2}, default: 1): `) || '1';
+    if (mode === '2') {
+      await editProfileInteractive(question);
+      return;
+    }
+    if (mode === '3' && hasProfiles) {
+      await removeProfileInteractive(question);
+      return;
+    }
+    
+    log('\nThis tool will help you configure the repository root directory.', 'reset', true);
     log(`Current repository root: ${REPO_ROOT}`, 'yellow', true);
     
     const newRoot = await question('\nEnter new repository root (or press Enter to keep current): ');
@@ -1798,7 +5004,8 @@ async function setupRepoConfig() {
     const envChoice = await question('\nSelect environment (1-2, default: 1): ') || '1';
     const environment = envChoice === '2' ? 'production' : 'development';
     
-    const config = {
+    // Merge into the existing file so other sections (services, groups) survive
+    const changes = {
       repoRoot: rootPath,
       environment: environment,
       created: new Date().toISOString(),
@@ -1807,15 +5014,10 @@ async function setupRepoConfig() {
     
     switch (location) {
       case '1':
-        const localPath = path.join(process.cwd(), '.ren360rc');
-        fs.writeFileSync(localPath, JSON.stringify(config, null, 2));
-        log(`\n✓ Configuration saved to ${localPath}`, 'green', true);
-        break;
-        
       case '2':
-        const homePath = path.join(require('os').homedir(), '.ren360rc');
-        fs.writeFileSync(homePath, JSON.stringify(config, null, 2));
-        log(`\n✓ Configuration saved to ${homePath}`, 'green', true);
+        const rcPath = location === '1' ? CONFIG.files.local : CONFIG.files.home;
+        writeRcValues(rcPath, changes);
+        log(`\n✓ Configuration saved to ${rcPath}`, 'green', true);
         break;
         
       case '3':
@@ -1849,9 +5051,8 @@ async function setupRepoConfig() {
     } else {
       log('⚠ No services found at the configured location', 'yellow', true);
       log('  Services are expected to be in subdirectories like:', 'reset', true);
-      log(`  ${path.join(rootPath, 'microAds/')}`, 'reset', true);
-      log(`  ${path.join(rootPath, 'microEmails/')}`, 'reset', true);
-      log('  etc.', 'reset', true);
+      Object.values(services).slice(0, 2).forEach(servicePath => log(`  ${servicePath}`, 'reset', true));
+      log('  etc. (see node repo-manager.js services)', 'reset', true);
     }
     
   } catch (error) {
@@ -1886,25 +5087,9 @@ async function setupGitHubToken() {
       return;
     }
     
-    // Update or create .env file
-    const envPath = path.join(__dirname, '.env');
-    let envContent = '';
-    
-    if (fs.existsSync(envPath)) {
-      envContent = fs.readFileSync(envPath, 'utf8');
-      // Remove existing GH_TOKEN if present
-      envContent = envContent.replace(/GH_TOKEN=.*/g, '');
-      // Ensure it ends with newline
-      if (!envContent.endsWith('\n')) {
-        envContent += '\n';
-      }
-    }
-    
-    // Add the new token
-    envContent += `\n# GitHub API Token\nGH_TOKEN=${token.trim()}\n`;
-    
-    fs.writeFileSync(envPath, envContent);
-    log('\n✓ GitHub token saved to .env', 'green', true);
+    // Update or create .env file, keeping every other setting
+    const envPath = setConfigValue(CONFIG, 'ghToken', token.trim(), 'dotenv');
+    log(`\n✓ GitHub token saved to ${envPath}`, 'green', true);
     
     // Set it for current process
     process.env.GH_TOKEN = token.trim();
@@ -1914,7 +5099,7 @@ async function setupGitHubToken() {
     
     try {
       // Try to list user repos as a test
-      execCommand('gh api user', { encoding: 'utf8' });
+      await execCommand(['gh', 'api', 'user']);
       log('✓ GitHub token configured successfully!', 'green', true);
       
       log('\nYou can now use:', 'reset', true);
@@ -1944,10 +5129,10 @@ async function setupAIConfiguration() {
   const question = (query) => new Promise((resolve) => rl.question(query, resolve));
   
   try {
-    // Check if .env already exists
-    const envPath = path.join(__dirname, '.env');
-    if (fs.existsSync(envPath)) {
-      const overwrite = await question('A .env file already exists. Overwrite? (y/N): ');
+    // Check if a key is already configured
+    const existingKey = CONFIG.resolve('anthropicApiKey');
+    if (existingKey.value) {
+      const overwrite = await question(`An Anthropic API key is already configured (${existingKey.layer}). Replace it? (y/N): `);
       if (overwrite.toLowerCase() !== 'y') {
         log('Setup cancelled.', 'yellow', true);
         rl.close();
@@ -1984,19 +5169,11 @@ async function setupAIConfiguration() {
         break;
     }
     
-    // Create .env file
-    const envContent = `# Anthropic API Configuration
-ANTHROPIC_API_KEY=${apiKey.trim()}
-
-# Model selection
-ANTHROPIC_MODEL=${model}
-
-# Max tokens for responses
-ANTHROPIC_MAX_TOKENS=4096
-`;
-    
-    fs.writeFileSync(envPath, envContent);
-    log('\n✓ Configuration saved to .env', 'green', true);
+    // Save to .env, keeping every other setting
+    setConfigValue(CONFIG, 'anthropicApiKey', apiKey.trim(), 'dotenv');
+    setConfigValue(CONFIG, 'anthropicModel', model, 'dotenv');
+    const envPath = setConfigValue(CONFIG, 'anthropicMaxTokens', 4096, 'dotenv');
+    log(`\n✓ Configuration saved to ${envPath}`, 'green', true);
     
     // Test the configuration
     log('\nTesting AI configuration...', 'yellow', true);
@@ -2042,7 +5219,7 @@ async function interactiveMode() {
     console.log('3. List available branches (single service)');
     console.log('4. Update all services to a branch');
     console.log('5. Update single service to a branch');
-    console.log('6. Create new branch from dev (REN-<ticket>)');
+    console.log('6. Create new ticket branch from the base branch');
     console.log('7. Show repository status');
     console.log('8. Show uncommitted changes');
     console.log('9. Drop uncommitted changes');
@@ -2071,7 +5248,7 @@ async function interactiveMode() {
           break;
         }
         const branchAll = await question('Enter target branch: ');
-        await updateBranches(branchAll);
+        await withOperationLock(`update ${branchAll}`, () => updateBranches(branchAll));
         break;
         
       case '5':
@@ -2082,7 +5259,7 @@ async function interactiveMode() {
         }
         const serviceName = await question('Enter service name: ');
         const branchSingle = await question('Enter target branch: ');
-        await updateBranches(branchSingle, serviceName);
+        await withOperationLock(`update ${branchSingle} ${serviceName}`, () => updateBranches(branchSingle, serviceName));
         break;
         
       case '6':
@@ -2093,7 +5270,8 @@ async function interactiveMode() {
         }
         const ticketNumber = await question('Enter ticket number (e.g., 1234 for REN-1234): ');
         const serviceForCreate = await question('Enter service name (or press Enter for all services): ');
-        await createBranch(ticketNumber, serviceForCreate || null);
+        await withOperationLock(`create ${ticketNumber} ${serviceForCreate}`.trim(),
+          () => createBranch(ticketNumber, serviceForCreate || null));
         break;
         
       case '7':
@@ -2108,7 +5286,7 @@ async function interactiveMode() {
         
       case '9':
         const serviceForDrop = await question('Enter service name (or press Enter for all services): ');
-        await dropUncommittedChanges(serviceForDrop || null, false);
+        await withOperationLock(`drop ${serviceForDrop}`.trim(), () => dropUncommittedChanges(serviceForDrop || null, false));
         break;
         
       case '10':
@@ -2123,46 +5301,79 @@ async function interactiveMode() {
   }
 }
 
+// Read the value of a --flag=value argument
+function getFlagValue(args, flag) {
+  const arg = args.find(a => a.startsWith(`${flag}=`));
+  return arg ? arg.split('=').slice(1).join('=') : undefined;
+}
+
 // CLI argument parsing
 async function main() {
   const args = process.argv.slice(2);
   
-  // Check for repo-root flag
+  // Everything after "--" is the command for exec, not options for us
+  const separator = args.indexOf('--');
+  const passthroughArgs = separator === -1 ? [] : args.splice(separator).slice(1);
+  
+  // Resolve configuration from flags, environment, .ren360rc and .env
+  CONFIG = loadConfig({ argv: args });
+  const configProblems = CONFIG.validate();
+  if (configProblems.length > 0) {
+    configProblems.forEach(problem => log(`Error: ${problem}`, 'red', true));
+    process.exit(1);
+  }
+  
+  REPO_ROOT = CONFIG.get('repoRoot');
+  JOBS = CONFIG.get('jobs');
+  
+  const ghToken = CONFIG.get('ghToken');
+  if (ghToken) {
+    process.env.GH_TOKEN = ghToken;
+  }
+  
+  // Remove profile, jobs and network flags from args
+  for (const flag of ['--profile', '--jobs', '-j', '--timeout', '--retries']) {
+    const flagIndex = args.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+    if (flagIndex !== -1) {
+      args.splice(flagIndex, args[flagIndex] === flag ? 2 : 1);
+    }
+  }
+  
+  // Remove repo-root flags from args
   const repoRootIndex = args.findIndex(arg => arg.startsWith('--repo-root='));
   if (repoRootIndex !== -1) {
-    REPO_ROOT = args[repoRootIndex].split('=')[1];
     args.splice(repoRootIndex, 1);
-  } else {
-    // Check for -r flag
-    const rIndex = args.indexOf('-r');
-    if (rIndex !== -1 && args[rIndex + 1]) {
-      REPO_ROOT = args[rIndex + 1];
-      args.splice(rIndex, 2);
-    } else {
-      // Use configured repo root
-      REPO_ROOT = getRepoRoot();
-    }
   }
-  
-  // Expand tilde in REPO_ROOT if present
-  if (REPO_ROOT.startsWith('~')) {
-    REPO_ROOT = path.join(os.homedir(), REPO_ROOT.slice(1));
+  const rIndex = args.indexOf('-r');
+  if (rIndex !== -1 && args[rIndex + 1]) {
+    args.splice(rIndex, 2);
   }
   
+  // --json / --ndjson replace all text output with the command's results
+  for (const format of ['json', 'ndjson']) {
+    if (args.includes(`--${format}`)) {
+      OUTPUT_FORMAT = format;
+      args.splice(args.indexOf(`--${format}`), 1);
+    }
+  }
   // Initialize services with the configured REPO_ROOT
   initializeServices();
   
   // Get the current environment
   const currentEnvironment = getEnvironment();
   
+  if (CONFIG.profile) {
+    log(`Using profile: ${CONFIG.profile}`, 'cyan', true);
+  }
+  
   // Show repo root if verbose or if custom root is used
   if (REPO_ROOT !== DEFAULT_REPO_ROOT) {
-    console.log(`${colors.cyan}Using repository root: ${REPO_ROOT}${colors.reset}`);
+    log(`Using repository root: ${REPO_ROOT}`, 'cyan', true);
   }
   
   // Show environment if verbose or if explicitly set via command line
   if (VERBOSE || args.some(arg => arg.startsWith('--env='))) {
-    console.log(`${colors.cyan}Environment: ${currentEnvironment}${colors.reset}`);
+    log(`Environment: ${currentEnvironment}`, 'cyan', true);
   }
   
   // Check for verbose flag
@@ -2175,12 +5386,74 @@ async function main() {
     if (vIndex > -1) args.splice(vIndex, 1);
   }
   
+  // Dry run implies verbose so every planned command shows under its service
+  if (args.includes('--dry-run')) {
+    DRY_RUN = true;
+    VERBOSE = true;
+    args.splice(args.indexOf('--dry-run'), 1);
+  }
+  
+  // --wait[=SECONDS]: wait for another run's workspace lock instead of failing
+  const waitIndex = args.findIndex(arg => arg === '--wait' || arg.startsWith('--wait='));
+  if (waitIndex !== -1) {
+    const waitValue = getFlagValue(args, '--wait');
+    LOCK_WAIT = waitValue !== undefined ? Number(waitValue) : true;
+    if (waitValue !== undefined && !(LOCK_WAIT >= 0)) {
+      log(`Error: --wait expects a number of seconds, got '${waitValue}'`, 'red', true);
+      process.exit(1);
+    }
+    args.splice(waitIndex, 1);
+  }
+  
   // Remove --env flag from args if present
   const envArgIndex = args.findIndex(arg => arg.startsWith('--env='));
   if (envArgIndex > -1) {
     args.splice(envArgIndex, 1);
   }
   
+  // Service selectors apply to every multi-service command
+  for (const [flag, key] of [['--group', 'groups'], ['--only', 'only'], ['--exclude', 'exclude']]) {
+    const value = getFlagValue(args, flag);
+    if (value !== undefined) {
+      SERVICE_SELECTION[key] = value.split(',').map(v => v.trim()).filter(Boolean);
+      args.splice(args.findIndex(arg => arg.startsWith(`${flag}=`)), 1);
+    }
+  }
+  
+  // report --services=a,b is another way to write --only
+  const servicesFlag = args[0] === 'report' ? getFlagValue(args, '--services') : undefined;
+  if (servicesFlag !== undefined) {
+    SERVICE_SELECTION.only = servicesFlag.split(',').map(v => v.trim()).filter(Boolean);
+    args.splice(args.findIndex(arg => arg.startsWith('--services=')), 1);
+  }
+  
+  // Without selector flags, the active profile decides which services run
+  const profile = CONFIG.getProfile();
+  const hasSelectors = Object.values(SERVICE_SELECTION).some(values => values.length > 0);
+  if (profile && !hasSelectors && (profile.services || profile.groups || profile.exclude)) {
+    SERVICE_SELECTION = {
+      groups: profile.groups || [],
+      only: profile.services || [],
+      exclude: profile.exclude || []
+    };
+    SELECTION_FROM_PROFILE = true;
+  }
+  
+  if (OUTPUT_FORMAT !== 'text' && (args.length === 0 || TEXT_ONLY_COMMANDS.includes(args[0]) || (args[0] === 'config' && !args[1]))) {
+    log(`Error: --${OUTPUT_FORMAT} is not supported by '${args[0] || 'interactive mode'}'`, 'red', true);
+    process.exit(1);
+  }
+  
+  if (DRY_RUN) {
+    if (!DRY_RUN_COMMANDS.includes(args[0]) && !DRY_RUN_COMMANDS.includes(`${args[0]} ${args[1]}`)) {
+      const withAction = DRY_RUN_COMMANDS.some(entry => entry.startsWith(`${args[0]} `)) && args[1];
+      log(`Error: --dry-run is not supported by '${withAction ? `${args[0]} ${args[1]}` : args[0] || 'interactive mode'}'`, 'red', true);
+      log(`Supported commands: ${DRY_RUN_COMMANDS.join(', ')}`, 'reset', true);
+      process.exit(1);
+    }
+    log('Dry run: commands that would change something are printed, not run', 'magenta', true);
+  }
+  
   if (args.length === 0) {
     await interactiveMode();
     return;
@@ -2188,28 +5461,79 @@ async function main() {
   
   const command = args[0];
   
+  // Mutating commands hold the workspace lock until the process exits
+  const lockedActions = LOCKED_COMMANDS[command];
+  const lockedAction = lockedActions === null ||
+    (lockedActions && lockedActions.includes(command === 'stash' ? (args[1] || 'list') : args[1]));
+  const commandArgs = [...args.slice(1), ...(passthroughArgs.length > 0 ? ['--', ...passthroughArgs] : [])];
+  if (lockedAction) {
+    if (!(await acquireOperationLock([command, ...commandArgs].join(' ')))) {
+      return;
+    }
+  }
+  
+  // Mutating commands, and pr (which pushes), are recorded in the audit log.
+  // The entry starts once the arguments are valid, so usage errors leave none.
+  const audited = async operation => {
+    if (!lockedAction && command !== 'pr') {
+      return operation();
+    }
+    await startAudit(command, commandArgs);
+    let results;
+    try {
+      results = await operation();
+      return results;
+    } catch (error) {
+      await finishAudit(undefined, error);
+      throw error;
+    } finally {
+      if (ACTIVE_AUDIT) {
+        await finishAudit(results);
+      }
+    }
+  };
+  
+  // What the command returned, printed at the end for --json / --ndjson
+  let output;
+  
   switch (command) {
+    case 'lock':
+      const lockAction = args[1] || 'status';
+      if (!['status', 'break'].includes(lockAction)) {
+        log('Error: Invalid lock action', 'red', true);
+        log('Usage: repo-manager.js lock [status|break] [--force]', 'reset', true);
+        process.exit(1);
+      }
+      output = await manageOperationLock(lockAction, args.includes('--force') || args.includes('-f'));
+      break;
+      
     case 'list':
     case 'current':
-      await listCurrentBranches();
+      output = await listCurrentBranches();
       break;
       
     case 'branches':
       const service = args[1];
-      await listAvailableBranches(service);
+      output = await listAvailableBranches(service);
       break;
       
     case 'update':
-      if (args.length < 2) {
-        log('Error: Please specify a branch name', 'red', true);
-        log('Usage: repo-manager.js update <branch> [service] [--composer-update] [--skip-deps]', 'reset', true);
+      const manifestFile = getFlagValue(args, '--manifest');
+      const updateArgs = args.filter(arg => !arg.startsWith('--'));
+      if (updateArgs.length < 2 && !manifestFile) {
+        log('Error: Please specify a branch name or --manifest', 'red', true);
+        log('Usage: repo-manager.js update <branch> [service] [--composer-update] [--skip-deps] [--atomic]', 'reset', true);
+        log('       repo-manager.js update [default-branch] --manifest=branches.conf [--composer-update] [--skip-deps] [--atomic]', 'reset', true);
         process.exit(1);
       }
-      const branch = args[1];
-      const targetService = args[2] && !args[2].startsWith('--') ? args[2] : undefined;
-      const useComposerUpdate = args.includes('--composer-update');
-      const skipDeps = args.includes('--skip-deps');
-      await updateBranches(branch, targetService, useComposerUpdate, skipDeps);
+      const branch = updateArgs[1];
+      const targetService = updateArgs[2];
+      output = await audited(() => updateBranches(branch, targetService, {
+        useComposerUpdate: args.includes('--composer-update'),
+        skipDeps: args.includes('--skip-deps'),
+        manifestFile,
+        atomic: args.includes('--atomic')
+      }));
       break;
       
     case 'create':
@@ -2220,25 +5544,34 @@ async function main() {
         process.exit(1);
       }
       const ticketNum = args[1];
-      const createService = args[2];
-      await createBranch(ticketNum, createService);
+      const createService = args.slice(2).find(arg => !arg.startsWith('--'));
+      const branchType = getFlagValue(args, '--type') || 'feature';
+      if (!BRANCH_TYPES.includes(branchType)) {
+        log(`Error: --type must be one of ${BRANCH_TYPES.join(', ')}`, 'red', true);
+        process.exit(1);
+      }
+      output = await audited(() => createBranch(ticketNum, createService, {
+        from: getFlagValue(args, '--from'),
+        type: branchType,
+        slug: getFlagValue(args, '--slug')
+      }));
       break;
       
     case 'status':
       const statusService = args[1];
-      await showRepositoryStatus(statusService);
+      output = await showRepositoryStatus(statusService);
       break;
       
     case 'changes':
     case 'uncommitted':
       const changesService = args[1];
-      await showUncommittedChanges(changesService);
+      output = await showUncommittedChanges(changesService);
       break;
       
     case 'sync':
     case 'pull':
       const syncService = args[1];
-      await syncRepositories(syncService);
+      output = await audited(() => syncRepositories(syncService));
       break;
       
     case 'search':
@@ -2251,12 +5584,23 @@ async function main() {
       const searchService = args[2] && !args[2].startsWith('--') ? args[2] : undefined;
       const includeArg = args.find(arg => arg.startsWith('--include='));
       const includePattern = includeArg ? includeArg.split('=')[1] : undefined;
-      await searchInRepositories(searchPattern, { 
+      output = await searchInRepositories(searchPattern, { 
         service: searchService, 
         include: includePattern 
       });
       break;
       
+    case 'exec':
+    case 'foreach':
+      const execService = args.slice(1).find(arg => !arg.startsWith('--'));
+      output = await audited(() => execInServices(passthroughArgs, {
+        service: execService,
+        parallel: args.includes('--parallel'),
+        stopOnError: args.includes('--stop-on-error'),
+        grouped: args.includes('--grouped')
+      }));
+      break;
+      
     case 'recent':
     case 'activity':
       const recentService = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
@@ -2264,7 +5608,7 @@ async function main() {
       const countArg = args.find(arg => arg.startsWith('--count='));
       const days = daysArg ? parseInt(daysArg.split('=')[1]) : 7;
       const count = countArg ? parseInt(countArg.split('=')[1]) : 5;
-      await showRecentActivity({ 
+      output = await showRecentActivity({ 
         service: recentService,
         days,
         count
@@ -2279,34 +5623,45 @@ async function main() {
         process.exit(1);
       }
       const stashMessage = stashAction === 'save' && args[2] ? args.slice(2).join(' ') : '';
-      await manageStash(stashAction, stashMessage);
+      output = await audited(() => manageStash(stashAction, stashMessage));
       break;
       
     case 'drop':
     case 'drop-changes':
       const dropService = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
       const dropForce = args.includes('--force') || args.includes('-f');
-      await dropUncommittedChanges(dropService, dropForce);
+      output = await audited(() => dropUncommittedChanges(dropService, dropForce));
       break;
       
     case 'pr':
       const prTitle = args.find(arg => arg.startsWith('--title='));
       const prBody = args.find(arg => arg.startsWith('--body='));
+      const prBodyFile = getFlagValue(args, '--body-file');
       const prDraft = args.includes('--draft');
       const prService = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
       
       if (!prTitle) {
         log('Error: PR title is required', 'red', true);
-        log('Usage: repo-manager.js pr [service] --title="PR title" [--body="description"] [--draft]', 'reset', true);
+        log('Usage: repo-manager.js pr [service] --title="PR title" [--body="description" | --body-file=FILE] [--draft]', 'reset', true);
         process.exit(1);
       }
       
-      await createPullRequest({
+      let prBodyText = prBody ? prBody.split('=').slice(1).join('=') : undefined;
+      if (prBodyFile) {
+        try {
+          prBodyText = fs.readFileSync(prBodyFile, 'utf8');
+        } catch (error) {
+          log(`Error: Could not read ${prBodyFile}: ${error.message}`, 'red', true);
+          process.exit(1);
+        }
+      }
+      
+      output = await audited(() => createPullRequest({
         title: prTitle.split('=').slice(1).join('='),
-        body: prBody ? prBody.split('=').slice(1).join('=') : undefined,
+        body: prBodyText,
         draft: prDraft,
         service: prService
-      });
+      }));
       break;
       
     case 'review':
@@ -2317,13 +5672,172 @@ async function main() {
       }
       const reviewTicket = args[1];
       const shouldAnalyze = args.includes('--analyze');
-      await reviewPullRequests(reviewTicket, { analyze: shouldAnalyze });
+      output = await reviewPullRequests(reviewTicket, { analyze: shouldAnalyze });
       break;
       
     case 'prs':
     case 'list-prs':
       const prState = args.find(arg => arg.startsWith('--state='))?.split('=')[1] || 'open';
-      await listAllPullRequests({ state: prState });
+      const prList = await listAllPullRequests({ state: prState });
+      output = prList && prList.allPRs;
+      break;
+      
+    case 'conflicts':
+      if (!args[1] || args[1].startsWith('--')) {
+        log('Error: Please specify a ticket number', 'red', true);
+        log('Usage: repo-manager.js conflicts <ticket> [service] [--into=BRANCH]', 'reset', true);
+        process.exit(1);
+      }
+      output = await checkTicketConflicts(args[1], {
+        service: args.slice(2).find(arg => !arg.startsWith('--')),
+        into: getFlagValue(args, '--into')
+      });
+      break;
+      
+    case 'refresh':
+      if (!args[1] || args[1].startsWith('--')) {
+        log('Error: Please specify a ticket number', 'red', true);
+        log('Usage: repo-manager.js refresh <ticket> [service] [--rebase] [--abort]', 'reset', true);
+        process.exit(1);
+      }
+      if (args.includes('--abort')) {
+        output = await audited(() => abortRefresh(args[1]));
+      } else {
+        output = await audited(() => refreshTicketBranches(args[1], {
+          service: args.slice(2).find(arg => !arg.startsWith('--')),
+          rebase: args.includes('--rebase')
+        }));
+      }
+      break;
+      
+    case 'prune-branches':
+      if (args[1] === 'restore') {
+        if (!args[2]) {
+          log('Error: Please specify the history id of the prune-branches run', 'red', true);
+          log('Usage: repo-manager.js prune-branches restore <id> [branch...]', 'reset', true);
+          process.exit(1);
+        }
+        output = await audited(() => restorePrunedBranches(args[2], args.slice(3).filter(arg => !arg.startsWith('--'))));
+      } else {
+        const pruneDays = getFlagValue(args, '--days');
+        if (pruneDays !== undefined && !(parseInt(pruneDays) > 0)) {
+          log('Error: --days must be a positive number', 'red', true);
+          process.exit(1);
+        }
+        output = await audited(() => pruneBranches(args.slice(1).find(arg => !arg.startsWith('--')), {
+          days: pruneDays ? parseInt(pruneDays) : 90,
+          remote: args.includes('--remote'),
+          force: args.includes('--force')
+        }));
+      }
+      break;
+      
+    case 'matrix':
+      const matrixColumns = args.slice(1).filter(arg => !arg.startsWith('--'));
+      if (matrixColumns.length === 0) {
+        log('Error: Please specify one or more branches or ticket numbers', 'red', true);
+        log('Usage: repo-manager.js matrix <branch|ticket>...', 'reset', true);
+        process.exit(1);
+      }
+      output = await showBranchMatrix(matrixColumns);
+      break;
+      
+    case 'report':
+      output = await generateReport({
+        since: getFlagValue(args, '--since'),
+        format: getFlagValue(args, '--format'),
+        output: getFlagValue(args, '--output')
+      });
+      break;
+      
+    case 'history':
+      if (args[1] === 'show') {
+        if (!args[2]) {
+          log('Error: Please specify a history entry id', 'red', true);
+          log('Usage: repo-manager.js history show <id>', 'reset', true);
+          process.exit(1);
+        }
+        output = await showHistoryEntry(args[2]);
+      } else {
+        const historyLimit = getFlagValue(args, '--limit');
+        output = await showHistory({
+          service: getFlagValue(args, '--service'),
+          command: getFlagValue(args, '--command'),
+          since: getFlagValue(args, '--since'),
+          until: getFlagValue(args, '--until'),
+          limit: historyLimit ? parseInt(historyLimit) : 20
+        });
+      }
+      break;
+      
+    case 'snapshot':
+      const snapshotAction = args[1] || 'list';
+      const snapshotArgs = args.slice(2).filter(arg => !arg.startsWith('--'));
+      if (snapshotAction === 'list') {
+        output = await listWorkspaceSnapshots();
+      } else if (snapshotAction === 'save' && snapshotArgs[0]) {
+        output = await audited(() => saveWorkspaceSnapshot(snapshotArgs[0], { force: args.includes('--force') }));
+      } else if (snapshotAction === 'restore' && snapshotArgs[0]) {
+        output = await audited(() => restoreWorkspaceSnapshot(snapshotArgs[0]));
+      } else if (snapshotAction === 'diff' && snapshotArgs.length === 2) {
+        output = await diffWorkspaceSnapshots(snapshotArgs[0], snapshotArgs[1]);
+      } else {
+        log('Error: Invalid snapshot command', 'red', true);
+        log('Usage: repo-manager.js snapshot [list|save <name>|restore <name>|diff <a> <b>]', 'reset', true);
+        process.exit(1);
+      }
+      break;
+      
+    case 'manifest':
+      const manifestAction = args[1];
+      const manifestArgs = args.slice(2).filter(arg => !arg.startsWith('--'));
+      if (manifestAction === 'export') {
+        output = await exportLockManifest(manifestArgs[0] || DEFAULT_LOCK_FILE);
+      } else if (manifestAction === 'apply' && manifestArgs[0]) {
+        output = await audited(() => applyLockManifest(manifestArgs[0], { mode: getFlagValue(args, '--mode') || 'detached' }));
+      } else {
+        log('Error: Invalid manifest command', 'red', true);
+        log('Usage: repo-manager.js manifest export [file] | manifest apply <file> [--mode=detached|branch]', 'reset', true);
+        process.exit(1);
+      }
+      break;
+      
+    case 'doctor':
+      output = await runDoctor();
+      break;
+      
+    case 'services':
+      const servicesAction = args[1] && !args[1].startsWith('--') ? args[1] : 'list';
+      if (servicesAction === 'list') {
+        output = await listServices();
+      } else if (servicesAction === 'validate') {
+        output = await validateServices();
+      } else if (servicesAction === 'add') {
+        output = await addService(args[2] && !args[2].startsWith('--') ? args[2] : undefined, {
+          directory: getFlagValue(args, '--directory'),
+          runtime: getFlagValue(args, '--runtime'),
+          phpBinary: getFlagValue(args, '--php'),
+          composerBinary: getFlagValue(args, '--composer'),
+          packageManager: getFlagValue(args, '--package-manager'),
+          deployTarget: getFlagValue(args, '--deploy-target'),
+          remote: getFlagValue(args, '--remote'),
+          defaultBranch: getFlagValue(args, '--default-branch'),
+          baseBranch: getFlagValue(args, '--base-branch'),
+          force: args.includes('--force')
+        });
+      } else {
+        log('Error: Invalid services action', 'red', true);
+        log('Usage: repo-manager.js services [list|add|validate]', 'reset', true);
+        process.exit(1);
+      }
+      break;
+      
+    case 'bootstrap':
+      const bootstrapService = args[1] && !args[1].startsWith('--') ? args[1] : null;
+      output = await audited(() => bootstrapServices(bootstrapService, {
+        install: args.includes('--install'),
+        branch: getFlagValue(args, '--branch') || null
+      }));
       break;
       
     case 'setup-ai':
@@ -2335,9 +5849,43 @@ async function main() {
       await setupGitHubToken();
       break;
       
+    case 'profile':
+    case 'profiles':
+      const profileAction = args[1] || 'list';
+      const profileLayer = getFlagValue(args, '--layer') || 'local';
+      if (profileAction === 'list') {
+        output = await listProfiles();
+      } else if (profileAction === 'use' && args[2] && !args[2].startsWith('--')) {
+        output = await useProfile(args[2], profileLayer);
+      } else if (profileAction === 'clear') {
+        output = await useProfile(null, profileLayer);
+      } else {
+        log('Error: Invalid profile command', 'red', true);
+        log('Usage: repo-manager.js profile [list|use <name>|clear] [--layer=local|home]', 'reset', true);
+        process.exit(1);
+      }
+      break;
+      
     case 'setup-config':
     case 'config':
-      await setupRepoConfig();
+      const configAction = command === 'config' ? args[1] : undefined;
+      const configArgs = args.slice(2).filter(arg => !arg.startsWith('--'));
+      const configLayer = getFlagValue(args, '--layer');
+      if (!configAction) {
+        await setupRepoConfig();
+      } else if (configAction === 'show') {
+        output = await showConfig({ showSecrets: args.includes('--show-secrets') });
+      } else if (configAction === 'get' && configArgs[0]) {
+        output = await getConfigSetting(configArgs[0], configLayer);
+      } else if (configAction === 'set' && configArgs.length === 2) {
+        output = await setConfigSetting(configArgs[0], configArgs[1], configLayer || 'local');
+      } else if (configAction === 'unset' && configArgs[0]) {
+        output = await setConfigSetting(configArgs[0], undefined, configLayer || 'local');
+      } else {
+        log('Error: Invalid config command', 'red', true);
+        log(`Usage: repo-manager.js config [show|get <key>|set <key> <value>|unset <key>] [--layer=${WRITABLE_LAYERS.join('|')}]`, 'reset', true);
+        process.exit(1);
+      }
       break;
       
     case 'help':
@@ -2356,39 +5904,88 @@ Usage:
   node repo-manager.js sync [service]         # Pull latest changes on current branches
   node repo-manager.js search <pattern> [service] [--include=glob]  # Search across repos
   node repo-manager.js recent [service] [--days=N] [--count=N]  # Show recent commits
+  node repo-manager.js exec [service] [options] -- <command>  # Run a command in every service (alias: foreach)
   node repo-manager.js stash [save|pop|list] ["message"]  # Manage stashes
   node repo-manager.js pr [service] --title="title" [options]  # Create PR
   node repo-manager.js prs [--state=open|closed|all]       # List all PRs
   node repo-manager.js review <ticket-number> [--analyze]  # Review PRs by ticket
+  node repo-manager.js snapshot [list|save|restore|diff]   # Save/restore branch + commit of every service
+  node repo-manager.js manifest export [file]              # Pin remote, branch and commit of every service
+  node repo-manager.js manifest apply <file> [--mode=MODE] # Check out pinned commits (detached or branch)
+  node repo-manager.js services [list|add|validate]        # Manage the service registry
+  node repo-manager.js doctor                              # Check tools, permissions, repos and tokens
+  node repo-manager.js lock [status|break] [--force]       # Show or remove the workspace lock
+  node repo-manager.js conflicts <ticket> [--into=master]  # Predict merge conflicts without touching checkouts
+  node repo-manager.js refresh <ticket> [--rebase]        # Merge (or rebase onto) origin/dev in every ticket branch
+  node repo-manager.js refresh <ticket> --abort           # Put every service back as it was before the refresh
+  node repo-manager.js prune-branches [service] [options]  # Delete merged or stale branches (--days=N, --remote, --force)
+  node repo-manager.js prune-branches restore <id>         # Recreate branches a prune run deleted
+  node repo-manager.js matrix <branch|ticket>...           # Which services have a branch and where it stands
+  node repo-manager.js report [--since=7d] [--format=html]  # Write a Markdown/HTML status report (--output=FILE)
+  node repo-manager.js history [--service=] [--since=]    # List recorded runs of mutating commands
+  node repo-manager.js history show <id>                  # Before/after state of one recorded run
+  node repo-manager.js bootstrap [service] [--install]     # Clone missing services (--branch=NAME)
   node repo-manager.js setup-config                        # Configure repository root
+  node repo-manager.js config [show|get|set|unset]         # Inspect or edit configuration layers
+  node repo-manager.js profile [list|use <name>|clear]     # List or switch workspace profiles
   node repo-manager.js setup-ai                            # Configure AI agent
   node repo-manager.js setup-github                        # Configure GitHub token
   node repo-manager.js update <branch> [service] [options]  # Update to branch
-  node repo-manager.js create <ticket> [service]  # Create REN-<ticket> branch from dev
+  node repo-manager.js update [branch] --manifest=FILE     # Update to per-service branches
+  node repo-manager.js create <ticket> [service] [options]  # Create a ticket branch from each service's base branch
+                                                            # (--from=BRANCH, --type=feature|hotfix|chore, --slug="text")
 
 Options:
   --repo-root=PATH   # Set custom repository root directory
   -r PATH            # Set custom repository root directory (short form)
   --env=development  # Set environment (development or production)
+  --profile=NAME     # Use a named profile from .ren360rc
   --verbose, -v      # Show detailed output during operations
+  --jobs=N, -j N     # Work on N services at once (default 4; 1 = one at a time)
+  --timeout=SECONDS  # Give up on a fetch/pull/push/clone/gh call after SECONDS (default 120)
+  --retries=N        # Retry timed-out or dropped network calls N times (default 2)
+  --dry-run          # Print what a mutating command would run (update, create, sync, exec, snapshot restore, ...)
+  --wait[=SECONDS]   # If another run holds the workspace lock, wait for it (default: fail at once)
+  --json, --ndjson   # Print the command's results as JSON (one document / one line per record)
   --composer-update  # Use composer update instead of install
   --skip-deps        # Skip composer/npm install entirely
+  --manifest=FILE    # Per-service branches for update (.conf, .json or .yaml)
+  --atomic           # If any service fails to update, roll every touched service back
+  --body-file=FILE   # PR description from a file (instead of --body)
+  --parallel         # exec: run up to --jobs services at once (default 4; without it, one at a time)
+  --stop-on-error    # exec: don't start more services after a command fails
+  --grouped          # exec: print each service's output under a header instead of prefixing lines
   --force, -f        # Skip confirmation prompts (use with caution!)
+  --group=NAME[,..]  # Only services in these groups or with these tags
+  --only=a,b,c       # Only these services
+  --exclude=a,b,c    # Skip these services
 
 Configuration:
-  Repository root can be configured in multiple ways (in order of precedence):
-  1. Command line: --repo-root=/path/to/repos or -r /path/to/repos
-  2. Environment variable: REN360_REPO_ROOT=/path/to/repos
-  3. Config file (.ren360rc) in current directory or home directory
-  4. .env file: REPO_ROOT=/path/to/repos
-  5. Default: ${DEFAULT_REPO_ROOT}
-
-  Environment can be configured in multiple ways (in order of precedence):
-  1. Command line: --env=development or --env=production
-  2. Environment variable: REN360_ENVIRONMENT=development
-  3. Config file (.ren360rc) with "environment" field
-  4. .env file: ENVIRONMENT=development
-  5. Auto-detected (Linux with /var/amarki = production, else development)
+  Every setting is resolved from these layers (highest precedence first):
+  1. Command line flags: --repo-root=PATH (-r PATH), --env=development|production
+  2. Environment variables: REN360_REPO_ROOT, REN360_ENVIRONMENT, GH_TOKEN, ANTHROPIC_*
+  3. The active profile (--profile=NAME, REN360_PROFILE or "profile" in .ren360rc)
+  4. ./.ren360rc (current directory)
+  5. ~/.ren360rc (home directory)
+  6. .env next to this script: REPO_ROOT, ENVIRONMENT, GH_TOKEN, ANTHROPIC_*
+  7. Defaults: repository root ${DEFAULT_REPO_ROOT}; environment auto-detected
+     (Linux with /var/amarki = production, else development)
+
+  node repo-manager.js config show                 # Effective settings and their source
+  node repo-manager.js config get repoRoot         # One setting (--layer=NAME for a single layer)
+  node repo-manager.js config set environment production --layer=home
+  node repo-manager.js config unset repoRoot --layer=local
+
+  Profiles bundle a repository root, environment, service subset and base
+  branch under a name in the "profiles" section of .ren360rc. Select one
+  with --profile=NAME (or REN360_PROFILE) for a single run, or make it the
+  default with "profile use NAME". Create and edit profiles with setup-config.
+
+  Services are defined in services.json next to this script. A "services"
+  section in .ren360rc overrides or extends entries by name.
+
+  Groups are defined in the "groups" section of services.json or .ren360rc.
+  --group also matches service tags and runtimes (php, node).
 
 Examples:
   node repo-manager.js list
@@ -2398,9 +5995,13 @@ Examples:
   sudo node repo-manager.js update master frontend  # Update only frontend
   sudo node repo-manager.js update dev --composer-update  # Update with composer update
   sudo node repo-manager.js update dev --skip-deps  # Update without installing dependencies
+  sudo node repo-manager.js update master --atomic  # All services move to master, or none do
   sudo node repo-manager.js update dev --verbose    # Update with detailed output
-  sudo node repo-manager.js create 1234      # Create REN-1234 branch from dev
+  sudo node repo-manager.js update --manifest=config/branches.conf  # Per-service branches, default master
+  sudo node repo-manager.js update dev --manifest=branches.json     # Per-service branches, default dev
+  sudo node repo-manager.js create 1234      # Create REN-1234 from each service's base branch
   sudo node repo-manager.js create 1234 frontend  # Create REN-1234 only for frontend
+  sudo node repo-manager.js create 1234 --type=hotfix --slug="login loop"  # hotfix/... from master (with a {type}/{slug} template)
   node repo-manager.js status                # Show status of all repos
   node repo-manager.js status frontend       # Show status of specific repo
   node repo-manager.js changes               # Show uncommitted changes in all repos
@@ -2421,6 +6022,25 @@ Examples:
   node repo-manager.js prs --state=all       # List all PRs (open, closed, merged)
   node repo-manager.js review 1234           # Find all PRs for REN-1234
   node repo-manager.js review 1234 --analyze # With AI analysis
+  node repo-manager.js status --group=php    # Status of all PHP services
+  sudo node repo-manager.js update dev --group=core  # Update users, frontend and emails
+  node repo-manager.js sync --exclude=intelligence   # Sync everything except intelligence
+  node repo-manager.js exec -- git log -1 --format=%H    # Commit of every service
+  node repo-manager.js exec --group=php --grouped -- 'php artisan route:list | grep foo'
+  node repo-manager.js snapshot save before-REN-1234   # Record every service's branch and commit
+  sudo node repo-manager.js snapshot restore before-REN-1234  # Put every service back
+  node repo-manager.js snapshot diff before-REN-1234 after-REN-1234
+  node repo-manager.js manifest export qa-bug-42.lock.json   # Record exactly what is deployed
+  sudo node repo-manager.js manifest apply qa-bug-42.lock.json  # Reproduce it (detached HEADs)
+  sudo node repo-manager.js manifest apply qa-bug-42.lock.json --mode=branch
+  node repo-manager.js services              # List registered services
+  node repo-manager.js services validate     # Check registry entries, directories and hooks
+  node repo-manager.js services add billing --runtime=php --php=/usr/bin/php8.2 --composer=/usr/local/bin/composer26
+  node repo-manager.js config set remoteBase git@github.com:ORG --layer=home
+  node repo-manager.js bootstrap --install   # Clone every missing service and install dependencies
+
+Hooks (per service or group, in services.json or .ren360rc):
+  pre-update, post-update, post-sync, post-create-branch, pre-pr
 
 Services:
   ${Object.keys(services).join(', ')}
@@ -2428,14 +6048,22 @@ Services:
       break;
       
     default:
-      log(`Unknown command: ${command}`, 'red');
-      log('Use "node repo-manager.js help" for usage information');
+      log(`Unknown command: ${command}`, 'red', true);
+      log('Use "node repo-manager.js help" for usage information', 'reset', true);
       process.exit(1);
   }
+  
+  if (OUTPUT_FORMAT !== 'text') {
+    emitResults(output);
+  }
+  
+  if (DRY_RUN) {
+    log('\nDry run finished: nothing was changed', 'magenta', true);
+  }
 }
 
 // Run the script
 main().catch(error => {
-  log(`Fatal error: ${error.message}`, 'red');
+  log(`Fatal error: ${error.message}`, 'red', true);
   process.exit(1);
 });
\ No newline at end of file
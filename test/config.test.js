@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig } = require('../lib/config');
+
+// A throwaway home, working directory and .env with the given contents
+function setup({ home = {}, local = {}, dotenv = '' } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ren360-config-'));
+  const dirs = { home: path.join(root, 'home'), cwd: path.join(root, 'work') };
+  Object.values(dirs).forEach(dir => fs.mkdirSync(dir));
+  fs.writeFileSync(path.join(dirs.home, '.ren360rc'), JSON.stringify(home));
+  fs.writeFileSync(path.join(dirs.cwd, '.ren360rc'), JSON.stringify(local));
+  const dotenvFile = path.join(root, '.env');
+  fs.writeFileSync(dotenvFile, dotenv);
+  test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return { ...dirs, dotenvFile };
+}
+
+const load = (files, argv = [], env = {}) => loadConfig({ argv, env, ...files });
+
+test('defaults apply when no layer sets a value', () => {
+  const config = load(setup());
+  assert.strictEqual(config.get('jobs'), 4);
+  assert.strictEqual(config.get('commandTimeout'), 0);
+  assert.strictEqual(config.source('networkTimeout'), 'default');
+});
+
+test('layers take precedence in order: flag, env, profile, local, home, dotenv', () => {
+  const files = setup({
+    home: { jobs: 5, networkTimeout: 50, profiles: { qa: { jobs: 3 } } },
+    local: { jobs: 6 },
+    dotenv: 'REPO_ROOT=/srv/dotenv\n'
+  });
+
+  assert.strictEqual(load(files).get('jobs'), 6);
+  assert.strictEqual(load(files).source('jobs'), 'local');
+  assert.strictEqual(load(files).get('networkTimeout'), 50);
+  assert.strictEqual(load(files).source('networkTimeout'), 'home');
+  assert.strictEqual(load(files, ['--profile=qa']).get('jobs'), 3);
+  assert.strictEqual(load(files, ['--profile=qa'], { REN360_JOBS: '2' }).get('jobs'), 2);
+  assert.strictEqual(load(files, ['--profile=qa', '--jobs=1'], { REN360_JOBS: '2' }).get('jobs'), 1);
+
+  assert.strictEqual(load(files).get('repoRoot'), '/srv/dotenv');
+  assert.strictEqual(load(files).source('repoRoot'), 'dotenv');
+});
+
+test('empty and non-numeric values fall through to the next layer', () => {
+  const files = setup({ home: { jobs: 'many' }, local: { retries: 5 } });
+  const config = load(files, [], { REN360_RETRIES: '' });
+  assert.strictEqual(config.get('jobs'), 4);
+  assert.strictEqual(config.source('jobs'), 'default');
+  assert.strictEqual(config.get('retries'), 5);
+});
+
+test('flags after -- belong to the passed-through command', () => {
+  const config = load(setup(), ['exec', '--', 'npm', 'test', '--jobs=8']);
+  assert.strictEqual(config.get('jobs'), 4);
+});
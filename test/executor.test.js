@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { classifyError, runWithRetry } = require('../lib/executor');
+
+const failure = message => new Error(`Command failed: git fetch\n${message}`);
+
+test('classifyError recognises git and gh failures', () => {
+  assert.strictEqual(classifyError(failure('fatal: Authentication failed for \'https://github.com/o/r.git/\'')), 'auth');
+  assert.strictEqual(classifyError(failure('remote: Repository not found.')), 'not-found');
+  assert.strictEqual(classifyError(failure('fatal: couldn\'t find remote ref REN-1234')), 'not-found');
+  assert.strictEqual(classifyError(failure('HTTP 404: Not Found (https://api.github.com/repos/o/r)')), 'not-found');
+  assert.strictEqual(classifyError(failure('fatal: unable to access \'https://github.com/o/r.git/\': Could not resolve host: github.com')), 'network');
+});
+
+test('classifyError leaves local failures as plain errors', () => {
+  assert.strictEqual(classifyError(failure('sh: 1: composer: command not found')), 'error');
+  assert.strictEqual(classifyError(failure('error: pathspec \'nope\' did not match any file(s) known to git')), 'error');
+  assert.strictEqual(classifyError(failure('The file "composer.json" does not exist')), 'error');
+});
+
+test('classifyError reports timeouts before matching the message', () => {
+  const error = failure('remote: Repository not found.');
+  error.timedOut = true;
+  assert.strictEqual(classifyError(error), 'timeout');
+});
+
+test('runWithRetry retries network failures', async () => {
+  const retried = [];
+  await assert.rejects(
+    runWithRetry(['sh', '-c', 'echo "fatal: Could not resolve host: github.com" >&2; exit 128'], {
+      retries: 2,
+      retryDelay: 1,
+      onRetry: (error, attempt) => retried.push(attempt)
+    }),
+    error => error.kind === 'network' && error.attempts === 3
+  );
+  assert.deepStrictEqual(retried, [1, 2]);
+});
+
+test('runWithRetry does not retry not-found failures', async () => {
+  await assert.rejects(
+    runWithRetry(['sh', '-c', 'echo "remote: Repository not found." >&2; exit 128'], { retries: 2, retryDelay: 1 }),
+    error => error.kind === 'not-found' && error.attempts === 1
+  );
+});